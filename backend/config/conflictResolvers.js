@@ -0,0 +1,20 @@
+import { registerConflictResolver } from '../services/conflictStrategies.js';
+
+/**
+ * Custom conflict resolvers
+ * Reference them from config/mappings.json as
+ * { "strategy": "custom", "resolver": "<name>" }
+ */
+
+// Never let an empty value overwrite a filled one
+registerConflictResolver('keepNonEmpty', (conflict) => {
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+  return isEmpty(conflict.incomingValue) ? conflict.currentValue : conflict.incomingValue;
+});
+
+// Numeric fields keep the larger of the two values
+registerConflictResolver('keepHighest', (conflict) =>
+  Number(conflict.incomingValue) >= Number(conflict.currentValue)
+    ? conflict.incomingValue
+    : conflict.currentValue,
+);
@@ -1,4 +1,11 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import mysql from 'mysql2/promise.js';
+import { createLogger } from '../services/logger.js';
+import { isPlanning, notePlanStatement } from '../services/plan.js';
+
+const log = createLogger('db');
+
+const CONNECTION_LIMIT = 10;
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST || 'localhost',
@@ -6,15 +13,97 @@ const pool = mysql.createPool({
   password: process.env.DB_PASSWORD || 'password',
   database: process.env.DB_NAME || 'sheets_sync',
   waitForConnections: true,
-  connectionLimit: 10,
+  connectionLimit: CONNECTION_LIMIT,
   queueLimit: 0,
 });
 
+// Pool usage, counted from the pool's events and our own checkouts rather
+// than read from mysql2's private fields. Checkouts are counted here, not
+// from 'acquire'/'release': a connection handed straight to a waiting
+// request emits neither.
+const poolUsage = { open: 0, inUse: 0, waiting: 0 };
+let enqueued = 0;
+
+// Writes made by the sync engine itself are skipped by the change capture
+// triggers (services/changeCapture.js), which check this session variable
+pool.on('connection', (connection) => {
+  connection.query('SET @sync_engine_write = 1');
+
+  // Destroyed, closed after idling or dropped by the server
+  poolUsage.open += 1;
+  let closed = false;
+  const onClose = () => {
+    if (closed) return;
+    closed = true;
+    poolUsage.open -= 1;
+  };
+  connection.once('end', onClose);
+  connection.once('error', onClose);
+});
+
+pool.on('enqueue', () => {
+  enqueued += 1;
+});
+
 export const getConnection = async () => {
-  return pool.getConnection();
+  const enqueuedBefore = enqueued;
+  const acquiring = pool.getConnection();
+  // 'enqueue' is emitted synchronously when the request has to wait
+  const queued = enqueued > enqueuedBefore;
+  if (queued) poolUsage.waiting += 1;
+
+  let connection;
+  try {
+    connection = await acquiring;
+  } finally {
+    if (queued) poolUsage.waiting -= 1;
+  }
+
+  poolUsage.inUse += 1;
+  let returned = false;
+  const giveBack = (method) => (...args) => {
+    if (!returned) {
+      returned = true;
+      poolUsage.inUse -= 1;
+    }
+    return method.apply(connection, args);
+  };
+  connection.release = giveBack(connection.release);
+  connection.destroy = giveBack(connection.destroy);
+
+  return connection;
 };
 
-export const executeQuery = async (sql, values = []) => {
+/**
+ * Connection pool usage (connections checked out through getConnection)
+ */
+export const getPoolStats = () => ({
+  limit: CONNECTION_LIMIT,
+  total: poolUsage.open,
+  idle: Math.max(poolUsage.open - poolUsage.inUse, 0),
+  inUse: poolUsage.inUse,
+  waiting: poolUsage.waiting,
+});
+
+// Transaction the current async call chain is running in, if any
+const transactionContext = new AsyncLocalStorage();
+
+// Statements that only read, and so still run in plan mode
+const READ_STATEMENT = /^\s*(SELECT|SHOW)\b/i;
+
+const execute = async (sql, values) => {
+  if (isPlanning() && !READ_STATEMENT.test(sql)) {
+    notePlanStatement(sql, values);
+    // As if the write went through, so the engine carries on planning
+    return { affectedRows: 1, changedRows: 1, insertId: null };
+  }
+
+  const transaction = transactionContext.getStore();
+  if (transaction?.connection) {
+    const [results] = await transaction.connection.execute(sql, values);
+    return results;
+  }
+
   const connection = await getConnection();
   try {
     const [results] = await connection.execute(sql, values);
@@ -24,14 +113,90 @@ export const executeQuery = async (sql, values = []) => {
   }
 };
 
+export const executeQuery = async (sql, values = []) => {
+  return execute(sql, values);
+};
+
 export const executeUpdate = async (sql, values = []) => {
+  return execute(sql, values);
+};
+
+/**
+ * Stream a large result row by row instead of buffering it (object-mode
+ * Readable). The connection goes back to the pool once the result has been
+ * read; a stream destroyed half way (client went away) closes it instead,
+ * since the rest of the result is still on the wire.
+ */
+export const streamQuery = async (sql, values = []) => {
   const connection = await getConnection();
+  const stream = connection.connection.query(sql, values).stream();
+
+  // mysql2 emits a synthetic 'end' on early close, so ask the stream itself
+  stream.on('close', () => {
+    if (stream.readableEnded && !stream.errored) {
+      connection.release();
+    } else {
+      connection.destroy();
+    }
+  });
+
+  return stream;
+};
+
+/**
+ * Run a callback in a transaction
+ * Every executeQuery/executeUpdate made while it runs uses the transaction's
+ * connection; a nested withTransaction joins the outer one. Callbacks
+ * registered with afterCommit only run once the transaction has committed.
+ * In plan mode nothing is written, so no transaction is opened.
+ */
+export const withTransaction = async (callback) => {
+  if (transactionContext.getStore()?.connection || isPlanning()) {
+    return callback();
+  }
+
+  const connection = await getConnection();
+  const transaction = { connection, afterCommit: [] };
+
   try {
-    const [result] = await connection.execute(sql, values);
+    await connection.beginTransaction();
+    const result = await transactionContext.run(transaction, callback);
+    await connection.commit();
+    transaction.connection = null;
+
+    for (const fn of transaction.afterCommit) {
+      fn();
+    }
     return result;
+  } catch (error) {
+    if (transaction.connection) {
+      transaction.connection = null;
+      await connection.rollback().catch((rollbackError) => {
+        log.error('Rollback failed', { error: rollbackError.message });
+      });
+    }
+    throw error;
   } finally {
     connection.release();
   }
 };
 
+export const isInTransaction = () => Boolean(transactionContext.getStore()?.connection);
+
+/**
+ * Defer a side effect (sheet writes, notifications) until the current
+ * transaction commits; runs immediately outside a transaction and never
+ * in plan mode
+ */
+export const afterCommit = (fn) => {
+  if (isPlanning()) return;
+
+  const transaction = transactionContext.getStore();
+  if (transaction?.connection) {
+    transaction.afterCommit.push(fn);
+  } else {
+    fn();
+  }
+};
+
 export default pool;
@@ -1,7 +1,16 @@
 
 
 const WEBHOOK_URL = 'http://localhost:3001/sheet/webhook'; // Change to your backend URL
-const SHEET_NAME = 'Data'; // Change to your sheet name
+const SHEET_NAME = 'Data'; // Sheet used by "Test Connection"; synced sheets come from backend/config/mappings.json
+const MAX_SEND_ATTEMPTS = 3; // Webhook signing secret lives in the WEBHOOK_SECRET script property
+const RECONCILE_URL = WEBHOOK_URL.replace('/sheet/webhook', '/sync/reconcile');
+const MAPPINGS_URL = WEBHOOK_URL.replace('/sheet/webhook', '/sync/mappings');
+const RECONCILE_EVERY_HOURS = 1;
+const RECONCILE_APPLY = false; // Scheduled runs only report differences unless true
+const RECONCILE_APPLY_DELETES = false; // Delete DB records whose sheet row is gone
+const PENDING_WEBHOOKS_KEY = 'pendingWebhooks';
+const SHEET_LAYOUTS_KEY = 'sheetLayouts';
+const LAYOUT_CACHE_SECONDS = 600; // Mapping changes reach the script within this time
 
 
 function onEdit(e) {
@@ -14,21 +23,36 @@ function onEdit(e) {
     const sheet = e.source.getActiveSheet();
     const range = e.range;
     const sheetName = sheet.getName();
+    const layout = getSheetLayout(sheetName);
 
-    // Skip if editing on different sheet
-    if (sheetName !== SHEET_NAME) {
-      console.log(`[onEdit] Skipping different sheet: ${sheetName}`);
+    if (!layout) {
+      console.log('[onEdit] Sheet is not mapped:', sheetName);
       return;
     }
 
-    // Skip header row
-    if (range.getRow() === 1) {
+    // Skip header rows (ranges that reach below them still go out; the
+    // backend skips their header cells)
+    if (range.getLastRow() <= layout.headerRow) {
       console.log('[onEdit] Skipping header row');
       return;
     }
 
+    // Paste, fill down or clearing a block - send the whole range
+    if (range.getNumRows() > 1 || range.getNumColumns() > 1) {
+      const rangePayload = buildRangePayload(sheet, range, layout);
+      console.log('[onEdit] Range payload:', range.getA1Notation());
+      console.log('[onEdit] Response:', deliverWebhook(rangePayload));
+      return;
+    }
+
+    const rowKey = getRowKey(sheet, range.getRow(), layout);
     const payload = {
+      // Same key on every retry, so the backend applies the edit only once
+      idempotencyKey: Utilities.getUuid(),
       row: range.getRow(),
+      rowKey: rowKey,
+      // A row without a key is new - send all of it so the backend can create it
+      rowValues: rowKey === null ? getRowValues(sheet, range.getRow(), 1)[0] : undefined,
       column: range.getColumn(),
       oldValue: e.oldValue || null,
       newValue: e.value || null,
@@ -42,8 +66,8 @@ function onEdit(e) {
 
     console.log('[onEdit] Payload:', JSON.stringify(payload));
 
-    // Send to webhook
-    const response = sendWebhook(payload);
+    // Send to webhook (retried, then kept for later if the backend is down)
+    const response = deliverWebhook(payload);
     console.log('[onEdit] Response:', response);
   } catch (error) {
     console.error('[onEdit] Error:', error.toString());
@@ -51,25 +75,262 @@ function onEdit(e) {
   }
 }
 
+/**
+ * Installable onChange trigger - rows were inserted, removed or sorted,
+ * so send the whole key column and let the backend rebuild its row map
+ */
+function onSheetChange(e) {
+  if (!e || ['INSERT_ROW', 'REMOVE_ROW', 'OTHER'].indexOf(e.changeType) === -1) {
+    return;
+  }
+
+  try {
+    const sheet = e.source.getActiveSheet();
+    const layout = getSheetLayout(sheet.getName());
+    if (!layout) return;
+
+    // The backend maps keys[0] to the first row below the header
+    const lastRow = sheet.getLastRow();
+    const keys =
+      lastRow > layout.headerRow
+        ? sheet
+            .getRange(layout.headerRow + 1, layout.keyColumn, lastRow - layout.headerRow, 1)
+            .getValues()
+            .map(function (row) {
+              return row[0] === '' ? null : row[0];
+            })
+        : [];
+
+    const response = deliverWebhook(
+      { sheetName: sheet.getName(), keys: keys },
+      WEBHOOK_URL + '/rowmap',
+    );
+    console.log('[onSheetChange] Response:', response);
+  } catch (error) {
+    console.error('[onSheetChange] Error:', error.toString());
+  }
+}
+
+/**
+ * Multi-cell edit: the range's values as a 2D array (first row first) plus
+ * the key of every row it covers. Cleared cells arrive as empty strings.
+ * Rows without a key are new; their whole row goes along in rowValues.
+ */
+function buildRangePayload(sheet, range, layout) {
+  const wholeRows = getRowValues(sheet, range.getRow(), range.getNumRows());
+  const rowKeys = wholeRows.map(function (row) {
+    const key = row[layout.keyColumn - 1];
+    return key === '' ? null : key;
+  });
+
+  return {
+    // Same key on every retry, so the backend applies the range only once
+    idempotencyKey: Utilities.getUuid(),
+    sheetName: sheet.getName(),
+    row: range.getRow(),
+    column: range.getColumn(),
+    values: range.getValues(),
+    rowKeys: rowKeys,
+    rowValues: wholeRows.map(function (row, i) {
+      return rowKeys[i] === null ? row : null;
+    }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Every cell of numRows sheet rows, starting at row
+ */
+function getRowValues(sheet, row, numRows) {
+  return sheet.getRange(row, 1, numRows, sheet.getLastColumn()).getValues();
+}
+
+/**
+ * Value of the key column for a row, or null if the row has no record yet
+ */
+function getRowKey(sheet, row, layout) {
+  const value = sheet.getRange(row, layout.keyColumn).getValue();
+  return value === '' ? null : value;
+}
+
+/**
+ * Key column and header row of a synced sheet, or null if it is not mapped.
+ * Both come from backend/config/mappings.json (GET /sync/mappings): the
+ * column of keyField and headerRow, so the script and the backend's row
+ * map always agree. Cached for LAYOUT_CACHE_SECONDS; the last copy is kept
+ * in the script properties for when the backend cannot be reached.
+ */
+function getSheetLayout(sheetName) {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(SHEET_LAYOUTS_KEY);
+  if (cached) {
+    return JSON.parse(cached)[sheetName] || null;
+  }
+
+  const properties = PropertiesService.getScriptProperties();
+  let layouts;
+  try {
+    layouts = {};
+    fetchMappings().forEach(function (mapping) {
+      const keyColumn = mapping.columns.filter(function (column) {
+        return column.field === mapping.keyField;
+      })[0];
+      layouts[mapping.sheetName] = { keyColumn: keyColumn.column, headerRow: mapping.headerRow };
+    });
+    cache.put(SHEET_LAYOUTS_KEY, JSON.stringify(layouts), LAYOUT_CACHE_SECONDS);
+    properties.setProperty(SHEET_LAYOUTS_KEY, JSON.stringify(layouts));
+  } catch (error) {
+    console.error('[getSheetLayout] Using the last known layout:', error.toString());
+    layouts = JSON.parse(properties.getProperty(SHEET_LAYOUTS_KEY) || '{}');
+  }
+
+  return layouts[sheetName] || null;
+}
+
+/**
+ * Synced sheets as configured on the backend
+ */
+function fetchMappings() {
+  const response = UrlFetchApp.fetch(MAPPINGS_URL, { muteHttpExceptions: true });
+  if (response.getResponseCode() !== 200) {
+    throw new Error('GET ' + MAPPINGS_URL + ' returned ' + response.getResponseCode());
+  }
+  return JSON.parse(response.getContentText()).data;
+}
+
+/**
+ * Web app entry point - the backend's sheet writer calls this to push
+ * DB-originated changes into the sheet (deploy as a web app and set
+ * SHEETS_WEBAPP_URL / SHEETS_WEBAPP_TOKEN on the backend). Edits made here
+ * do not fire onEdit, so they are not sent back to the backend.
+ */
+function doPost(e) {
+  const request = JSON.parse(e.postData.contents);
+  const expectedToken =
+    PropertiesService.getScriptProperties().getProperty('SHEETS_WEBAPP_TOKEN');
+
+  // Without a token anyone who finds the URL could write to the sheet
+  if (!expectedToken) {
+    return jsonOutput({ error: 'SHEETS_WEBAPP_TOKEN script property is not set' });
+  }
+  if (request.token !== expectedToken) {
+    return jsonOutput({ error: 'Unauthorized' });
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(request.sheetName);
+  if (!sheet) {
+    return jsonOutput({ error: 'Unknown sheet ' + request.sheetName });
+  }
+
+  try {
+    switch (request.action) {
+      case 'updateCells':
+        request.cells.forEach(function (cell) {
+          sheet.getRange(cell.row, cell.column).setValue(cell.value);
+        });
+        return jsonOutput({ updated: request.cells.length });
+
+      case 'appendRow':
+        sheet.appendRow(request.values);
+        return jsonOutput({ row: sheet.getLastRow() });
+
+      case 'deleteRow':
+        sheet.deleteRow(request.row);
+        return jsonOutput({ deleted: 1 });
+
+      default:
+        return jsonOutput({ error: 'Unknown action ' + request.action });
+    }
+  } catch (error) {
+    console.error('[doPost] Error:', error.toString());
+    return jsonOutput({ error: error.toString() });
+  }
+}
+
+function jsonOutput(data) {
+  return ContentService.createTextOutput(JSON.stringify(data)).setMimeType(
+    ContentService.MimeType.JSON,
+  );
+}
+
+/**
+ * Send a webhook, retrying server errors with backoff
+ * Payloads that still fail are stored and re-sent by flushPendingWebhooks
+ */
+function deliverWebhook(payload, url) {
+  let response;
+
+  for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+    response = sendWebhook(payload, url);
+
+    // Success, or a rejection that retrying will not fix
+    if (response.success || (response.status >= 400 && response.status < 500)) {
+      return response;
+    }
+
+    // At least a second, so the retry is signed with a new timestamp
+    if (attempt < MAX_SEND_ATTEMPTS) {
+      Utilities.sleep(1000 * Math.pow(2, attempt - 1));
+    }
+  }
+
+  storePendingWebhook(payload, url);
+  return response;
+}
+
+function storePendingWebhook(payload, url) {
+  const properties = PropertiesService.getScriptProperties();
+  const pending = JSON.parse(properties.getProperty(PENDING_WEBHOOKS_KEY) || '[]');
+  pending.push({ payload: payload, url: url || WEBHOOK_URL });
+  properties.setProperty(PENDING_WEBHOOKS_KEY, JSON.stringify(pending));
+  console.log(`[deliverWebhook] Stored for retry (${pending.length} pending)`);
+}
+
+/**
+ * Time-driven trigger - re-send webhooks the backend could not accept
+ */
+function flushPendingWebhooks() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return;
+
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    const pending = JSON.parse(properties.getProperty(PENDING_WEBHOOKS_KEY) || '[]');
+    const stillPending = pending.filter(function (item) {
+      const response = sendWebhook(item.payload, item.url);
+      return !response.success && !(response.status >= 400 && response.status < 500);
+    });
+
+    properties.setProperty(PENDING_WEBHOOKS_KEY, JSON.stringify(stillPending));
+    console.log(
+      `[flushPendingWebhooks] Sent ${pending.length - stillPending.length}, ${stillPending.length} still pending`,
+    );
+  } finally {
+    lock.releaseLock();
+  }
+}
+
 /**
  * Send webhook to backend
  */
-function sendWebhook(payload) {
+function sendWebhook(payload, url) {
+  const body = JSON.stringify(payload);
   const options = {
     method: 'post',
     contentType: 'application/json',
-    payload: JSON.stringify(payload),
+    headers: signBody(body),
+    payload: body,
     muteHttpExceptions: true,
   };
 
   try {
-    const response = UrlFetchApp.fetch(WEBHOOK_URL, options);
+    const response = UrlFetchApp.fetch(url || WEBHOOK_URL, options);
     const status = response.getResponseCode();
     const result = response.getContentText();
 
     console.log(`[sendWebhook] Status: ${status}, Response: ${result}`);
 
-    if (status === 200 || status === 201) {
+    if (status === 200 || status === 201 || status === 202) {
       return { success: true, status, result: JSON.parse(result) };
     } else {
       return { success: false, status, error: result };
@@ -80,6 +341,33 @@ function sendWebhook(payload) {
   }
 }
 
+/**
+ * HMAC-SHA256 signature headers for a request body
+ * The backend verifies `${timestamp}.${body}` against its WEBHOOK_SECRETS
+ */
+function signBody(body) {
+  const secret = PropertiesService.getScriptProperties().getProperty('WEBHOOK_SECRET');
+  if (!secret) {
+    return {};
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = Utilities.computeHmacSha256Signature(
+    timestamp + '.' + body,
+    secret,
+    Utilities.Charset.UTF_8,
+  )
+    .map(function (byte) {
+      return ('0' + (byte & 0xff).toString(16)).slice(-2);
+    })
+    .join('');
+
+  return {
+    'X-Sync-Timestamp': String(timestamp),
+    'X-Sync-Signature': 'sha256=' + signature,
+  };
+}
+
 /**
  * Optional: Create a menu to manually trigger sync
  */
@@ -89,9 +377,41 @@ function onOpen(e) {
     .addItem('Test Connection', 'testConnection')
     .addSeparator()
     .addItem('View Sync Status', 'viewSyncStatus')
+    .addItem('Reconcile Now', 'reconcileNow')
+    .addSeparator()
+    .addItem('Install Triggers', 'installTriggers')
     .addToUi();
 }
 
+/**
+ * Install the onChange trigger that keeps the backend row map current
+ * (simple triggers cannot see row inserts, deletes or sorts) and the
+ * timer that re-sends webhooks the backend could not accept
+ */
+function installTriggers() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const handlers = ScriptApp.getProjectTriggers().map(function (trigger) {
+    return trigger.getHandlerFunction();
+  });
+
+  if (handlers.indexOf('onSheetChange') === -1) {
+    ScriptApp.newTrigger('onSheetChange').forSpreadsheet(spreadsheet).onChange().create();
+  }
+
+  if (handlers.indexOf('flushPendingWebhooks') === -1) {
+    ScriptApp.newTrigger('flushPendingWebhooks').timeBased().everyMinutes(1).create();
+  }
+
+  if (handlers.indexOf('reconcileSheets') === -1) {
+    ScriptApp.newTrigger('reconcileSheets')
+      .timeBased()
+      .everyHours(RECONCILE_EVERY_HOURS)
+      .create();
+  }
+
+  SpreadsheetApp.getUi().alert('Sync triggers are installed.');
+}
+
 /**
  * Test webhook connection
  */
@@ -122,6 +442,103 @@ function testConnection() {
   }
 }
 
+/**
+ * Time-driven trigger - send a snapshot of every mapped sheet so the backend
+ * can catch deleted rows and edits that never arrived. A dry run (logged
+ * report only) unless RECONCILE_APPLY is set.
+ */
+function reconcileSheets() {
+  return sendSnapshots(RECONCILE_APPLY);
+}
+
+/**
+ * Send every mapped sheet to the reconcile endpoint, applying the
+ * differences or only reporting them
+ */
+function sendSnapshots(apply) {
+  const mappings = fetchMappings();
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const reports = [];
+
+  mappings.forEach(function (mapping) {
+    const sheet = spreadsheet.getSheetByName(mapping.sheetName);
+    if (!sheet) return;
+
+    // Taken before reading, so DB changes made while reading are left alone
+    const capturedAt = new Date().toISOString();
+    const response = sendWebhook(
+      {
+        sheetName: mapping.sheetName,
+        values: sheet.getDataRange().getValues(),
+        capturedAt: capturedAt,
+        apply: apply,
+        applyDeletes: RECONCILE_APPLY_DELETES,
+        timestamp: new Date().toISOString(),
+      },
+      RECONCILE_URL,
+    );
+
+    if (response.success) {
+      reports.push(response.result.data);
+      if (!apply) console.log(`[reconcileSheets] dry run:`, JSON.stringify(response.result.data));
+    } else {
+      console.error(`[reconcileSheets] ${mapping.sheetName} failed:`, response.error);
+    }
+  });
+
+  return reports;
+}
+
+/**
+ * Menu action - show what reconciling would change, then apply it on
+ * confirmation
+ */
+function reconcileNow() {
+  const ui = SpreadsheetApp.getUi();
+  const preview = summarizeReports(sendSnapshots(false));
+  if (!preview) {
+    ui.alert('No mapped sheets');
+    return;
+  }
+
+  const answer = ui.alert(
+    'Reconcile with the database?',
+    preview + '\n\nApply these changes?',
+    ui.ButtonSet.YES_NO,
+  );
+  if (answer !== ui.Button.YES) return;
+
+  ui.alert('Reconciliation complete\n\n' + summarizeReports(sendSnapshots(true)));
+}
+
+function summarizeReports(reports) {
+  return reports
+    .map(function (report) {
+      const counts = report.results || {
+        inserted: report.inserts.length,
+        updated: report.updates.length,
+        deleted: report.deletes.length,
+      };
+      const verb = report.applied ? '' : ' to be';
+      return (
+        report.sheetName +
+        ': ' +
+        counts.inserted +
+        verb +
+        ' inserted, ' +
+        counts.updated +
+        verb +
+        ' updated, ' +
+        counts.deleted +
+        (RECONCILE_APPLY_DELETES ? verb + ' deleted' : ' missing from sheet (not deleted)') +
+        ', ' +
+        report.skipped.length +
+        ' skipped (changed in the DB)'
+      );
+    })
+    .join('\n');
+}
+
 /**
  * View sync status (opens browser tab)
  */
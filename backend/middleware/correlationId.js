@@ -0,0 +1,21 @@
+import { newCorrelationId, withCorrelationId } from '../services/logger.js';
+
+export const CORRELATION_HEADER = 'X-Correlation-Id';
+
+// Ids supplied by callers end up in logs and audit rows - keep them tame
+const VALID_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+/**
+ * Give every request a correlation id, reusing the caller's X-Correlation-Id
+ * when it is well formed, and return it in the response header
+ * Everything the request does afterwards (queueing, sync engine, audit rows,
+ * logs) runs under that id.
+ */
+export const correlationId = (req, res, next) => {
+  const incoming = req.get(CORRELATION_HEADER);
+  const id = incoming && VALID_ID.test(incoming) ? incoming : newCorrelationId();
+
+  req.correlationId = id;
+  res.set(CORRELATION_HEADER, id);
+  withCorrelationId(id, next);
+};
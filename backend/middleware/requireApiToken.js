@@ -0,0 +1,89 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { getWebhookSecrets } from '../services/webhookSigning.js';
+import { verifyWebhookSignature } from './verifyWebhookSignature.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('auth');
+
+let warnedDisabled = false;
+
+/**
+ * API tokens for the dashboard API (comma-separated, so a new token can be
+ * rolled out before the old one is dropped)
+ */
+const getApiTokens = () =>
+  (process.env.API_TOKENS || '')
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean);
+
+// Hashed first so tokens of different lengths compare in constant time
+const digest = (value) => createHash('sha256').update(value).digest();
+
+const isValidToken = (provided, tokens) =>
+  tokens.some((token) => timingSafeEqual(digest(token), digest(provided)));
+
+/**
+ * Guard the /sync endpoints that change data or return records and
+ * payloads: requests need `Authorization: Bearer <token>` with one of
+ * API_TOKENS. Without any token configured they are refused, unless
+ * API_AUTH_DISABLED=true (local development only).
+ */
+export const requireApiToken = (req, res, next) => checkToken(readBearer(req), req, res, next);
+
+/**
+ * Same, but the token may also come as ?token= - EventSource (the live
+ * stream) cannot send headers
+ */
+export const requireApiTokenOrQuery = (req, res, next) =>
+  checkToken(readBearer(req) ?? req.query.token, req, res, next);
+
+const readBearer = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : undefined;
+};
+
+const checkToken = (token, req, res, next) => {
+  if (process.env.API_AUTH_DISABLED === 'true') {
+    if (!warnedDisabled) {
+      log.warn('API_AUTH_DISABLED is set - accepting unauthenticated API requests');
+      warnedDisabled = true;
+    }
+    return next();
+  }
+
+  const tokens = getApiTokens();
+
+  let reason = null;
+  if (tokens.length === 0) {
+    reason = 'API_TOKENS not configured';
+  } else if (typeof token !== 'string' || !token) {
+    reason = 'Missing API token';
+  } else if (!isValidToken(token, tokens)) {
+    reason = 'Invalid API token';
+  }
+
+  if (reason) {
+    // The path only - a query token must not end up in the log
+    log.warn('Rejected API request', { path: req.baseUrl + req.path, reason });
+    return res.status(401).json({ error: 'Unauthorized', message: reason });
+  }
+
+  next();
+};
+
+/**
+ * Same, but a request signed like a webhook is accepted too (the Apps
+ * Script's scheduled reconciliation). Only when signing is set up -
+ * WEBHOOK_SIGNING_DISABLED would otherwise let anything through.
+ */
+export const requireApiTokenOrSignature = (req, res, next) => {
+  try {
+    if (req.get('X-Sync-Signature') && getWebhookSecrets().length > 0) {
+      return verifyWebhookSignature(req, res, next);
+    }
+  } catch (error) {
+    return next(error);
+  }
+  return requireApiToken(req, res, next);
+};
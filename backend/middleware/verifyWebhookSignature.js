@@ -0,0 +1,82 @@
+import { getWebhookSecrets, isValidSignature } from '../services/webhookSigning.js';
+import { logWebhookAudit } from '../services/syncEngine.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('auth');
+
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+
+// Why a signature was refused. Before the UNAUTHORIZED status existed these
+// were audited as REJECTED, so replay also looks for them by message
+export const SIGNATURE_FAILURES = [
+  'Missing signature',
+  'Signature timestamp outside tolerance',
+  'Invalid signature',
+  'Replayed signature',
+];
+
+// Signatures seen inside the tolerance window, to reject replays
+const seenSignatures = new Map();
+let warnedUnsigned = false;
+
+/**
+ * Reject webhooks with a missing, invalid, expired or replayed signature
+ * Rejections are answered with 401 and recorded in webhook_audit as
+ * UNAUTHORIZED, which replay never re-submits. Without WEBHOOK_SECRETS every
+ * webhook is refused, unless WEBHOOK_SIGNING_DISABLED=true (local
+ * development only).
+ */
+export const verifyWebhookSignature = async (req, res, next) => {
+  // Express 4 does not catch rejected middleware promises - an unreadable
+  // WEBHOOK_SECRETS_FILE would otherwise leave the request hanging
+  try {
+    if (process.env.WEBHOOK_SIGNING_DISABLED === 'true') {
+      if (!warnedUnsigned) {
+        log.warn('WEBHOOK_SIGNING_DISABLED is set - accepting unsigned webhooks');
+        warnedUnsigned = true;
+      }
+      return next();
+    }
+
+    const secrets = getWebhookSecrets();
+    const signature = req.get('X-Sync-Signature');
+    const timestamp = parseInt(req.get('X-Sync-Timestamp'), 10);
+    const now = Math.floor(Date.now() / 1000);
+
+    const [missing, expired, invalid, replayed] = SIGNATURE_FAILURES;
+    let reason = null;
+    if (secrets.length === 0) {
+      reason = 'WEBHOOK_SECRETS not configured';
+    } else if (!signature || Number.isNaN(timestamp)) {
+      reason = missing;
+    } else if (Math.abs(now - timestamp) > TOLERANCE_SECONDS) {
+      reason = expired;
+    } else if (!isValidSignature(req.rawBody || '', signature, timestamp, secrets)) {
+      reason = invalid;
+    } else if (seenSignatures.has(signature)) {
+      reason = replayed;
+    }
+
+    if (reason) {
+      log.warn('Rejected webhook', { path: req.originalUrl, reason });
+      try {
+        await logWebhookAudit(req.body, 'UNAUTHORIZED', new Error(reason));
+      } catch (error) {
+        log.error('Failed to audit rejection', { error: error.message });
+      }
+      return res.status(401).json({ error: 'Unauthorized', message: reason });
+    }
+
+    rememberSignature(signature, now);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+const rememberSignature = (signature, now) => {
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(seen);
+  }
+  seenSignatures.set(signature, now + TOLERANCE_SECONDS * 2);
+};
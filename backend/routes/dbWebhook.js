@@ -1,7 +1,18 @@
 import express from 'express';
-import { processSyncEvent, logWebhookAudit } from '../services/syncEngine.js';
+import { logWebhookAudit } from '../services/syncEngine.js';
+import { submitEvent } from '../services/eventQueue.js';
+import { assertEventIdentifiers } from '../services/schemaRegistry.js';
+import { validateEvent } from '../services/validation.js';
+import { getMappingForTable } from '../services/mappingRegistry.js';
+import { recordWebhookReceived } from '../services/health.js';
+import { createLogger } from '../services/logger.js';
+import {
+  normalizeIdempotencyKey,
+  deriveIdempotencyKey,
+} from '../services/idempotency.js';
 
 const router = express.Router();
+const log = createLogger('webhook-db');
 
 /**
  * POST /db/webhook
@@ -12,7 +23,9 @@ router.post('/', async (req, res) => {
   try {
     const payload = req.body;
 
-    console.log('[WEBHOOK-DB] Received:', {
+    recordWebhookReceived('DB');
+
+    log.info('Received', {
       tableId: payload.tableId,
       rowId: payload.rowId,
       operation: payload.operation,
@@ -23,30 +36,51 @@ router.post('/', async (req, res) => {
     await logWebhookAudit(payload, 'RECEIVED');
 
     // Parse DB event
-    const syncEvent = parseDbEvent(payload);
+    const parsedEvent = parseDbEvent(payload, req.get('Idempotency-Key'));
 
-    if (!syncEvent) {
+    if (!parsedEvent) {
       return res.status(400).json({ error: 'Invalid payload' });
     }
 
-    // Process sync
-    const result = await processSyncEvent(syncEvent);
+    // Reject unknown tables and fields before the event is queued
+    await assertEventIdentifiers(parsedEvent);
+
+    // Coerce values to their column types; invalid values are rejected
+    const syncEvent = await validateEvent(parsedEvent);
+
+    // Persist before acknowledging, then try to process right away.
+    // A repeated delivery gets the original outcome back instead
+    const { queueId, duplicate, ...outcome } = await submitEvent(syncEvent, payload);
 
-    // Log success
-    await logWebhookAudit(payload, 'PROCESSED');
+    if (outcome.status !== 'done') {
+      // Kept in the queue - the worker retries it with backoff
+      return res.status(202).json({
+        status: 'queued',
+        queueId,
+        duplicate,
+        message: outcome.error ? outcome.error.message : 'Event queued for processing',
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     res.json({
       status: 'success',
-      result,
+      result: outcome.result,
+      queueId,
+      duplicate,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('[WEBHOOK-DB] Error:', error);
-    await logWebhookAudit(req.body, 'ERROR', error);
+    const statusCode = error.statusCode || 500;
+    log[statusCode < 500 ? 'warn' : 'error']('Webhook failed', { error });
+    await logWebhookAudit(req.body, statusCode < 500 ? 'REJECTED' : 'ERROR', error).catch(
+      (auditError) => log.error('Failed to audit webhook', { error: auditError.message }),
+    );
 
-    res.status(500).json({
-      error: 'Failed to process webhook',
+    res.status(statusCode).json({
+      error: statusCode === 400 ? 'Invalid payload' : 'Failed to process webhook',
       message: error.message,
+      ...error.details,
     });
   }
 });
@@ -56,23 +90,49 @@ router.post('/', async (req, res) => {
  * Expected payload:
  * {
  *   tableId: string,
- *   rowId: number,
+ *   rowId: number,           // optional for INSERT (the id is generated)
  *   operation: 'INSERT' | 'UPDATE' | 'DELETE',
- *   changes: { field: value, ... }
+ *   changes: { field: value, ... },
+ *   version: number,         // optional, enables stale update detection
+ *   idempotencyKey: string   // optional, or the Idempotency-Key header
  * }
+ * Without a key one is derived from the payload, so identical payloads are
+ * treated as the same change
  */
-const parseDbEvent = (payload) => {
-  if (!payload.tableId || !payload.rowId || !payload.operation) {
+export const parseDbEvent = (payload, headerKey) => {
+  if (!payload.tableId || !payload.operation) {
     return null;
   }
 
+  const hasRowId = payload.rowId !== undefined && payload.rowId !== null && payload.rowId !== '';
+  if (!hasRowId && payload.operation !== 'INSERT') {
+    return null;
+  }
+
+  if (!getMappingForTable(payload.tableId)) {
+    log.info('Ignoring unmapped table', { tableId: payload.tableId });
+    return null;
+  }
+
+  const idempotencyKey =
+    normalizeIdempotencyKey(payload.idempotencyKey ?? headerKey) ||
+    deriveIdempotencyKey('DB', [
+      payload.tableId,
+      payload.rowId ?? null,
+      payload.operation,
+      payload.changes || {},
+      payload.version ?? null,
+      payload.timestamp ?? null,
+    ]);
+
   return {
     source: 'DB',
-    rowId: payload.rowId,
+    idempotencyKey,
+    rowId: hasRowId ? payload.rowId : null,
     tableId: payload.tableId,
     operation: payload.operation,
     timestamp: new Date().toISOString(),
-    version: payload.version || 1,
+    version: payload.version ?? null,
     changes: payload.changes || {},
     metadata: payload.metadata || {},
   };
@@ -0,0 +1,37 @@
+import express from 'express';
+import { getLiveness, getReadiness, HEALTH } from '../services/health.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('health');
+
+const router = express.Router();
+
+/**
+ * GET /health/live
+ * The process is up - never touches MySQL
+ */
+router.get('/live', (req, res) => {
+  res.json(getLiveness());
+});
+
+/**
+ * GET /health/ready
+ * Probes MySQL and reports queue lag, webhook recency and the recent error
+ * rate; answers 503 while any check is failing
+ */
+const ready = async (req, res) => {
+  try {
+    const health = await getReadiness();
+    res.status(health.status === HEALTH.FAILING ? 503 : 200).json(health);
+  } catch (error) {
+    log.error('Readiness check failed', { error });
+    res.status(503).json({ status: HEALTH.FAILING, message: error.message });
+  }
+};
+
+router.get('/ready', ready);
+
+// Kept for existing monitors
+router.get('/', ready);
+
+export default router;
@@ -1,7 +1,22 @@
 import express from 'express';
-import { processSyncEvent, logWebhookAudit } from '../services/syncEngine.js';
+import { logWebhookAudit } from '../services/syncEngine.js';
+import { submitEvent } from '../services/eventQueue.js';
+import { assertEventIdentifiers } from '../services/schemaRegistry.js';
+import { validateEvent } from '../services/validation.js';
+import {
+  getMappingForSheet,
+  getFieldForColumn,
+} from '../services/mappingRegistry.js';
+import { rebuildRowMap } from '../services/rowIdentity.js';
+import { recordWebhookReceived } from '../services/health.js';
+import { createLogger } from '../services/logger.js';
+import {
+  normalizeIdempotencyKey,
+  deriveIdempotencyKey,
+} from '../services/idempotency.js';
 
 const router = express.Router();
+const log = createLogger('webhook-sheet');
 
 /**
  * POST /sheet/webhook
@@ -11,11 +26,16 @@ router.post('/', async (req, res) => {
   try {
     const payload = req.body;
 
-    console.log('[WEBHOOK-SHEET] Received:', {
+    const isRange = Array.isArray(payload.values);
+
+    recordWebhookReceived('SHEET');
+
+    log.info('Received', {
       row: payload.row,
       column: payload.column,
-      newValue: payload.newValue,
-      oldValue: payload.oldValue,
+      ...(isRange
+        ? { rows: payload.values.length }
+        : { newValue: payload.newValue, oldValue: payload.oldValue }),
       sheetName: payload.sheetName,
     });
 
@@ -23,29 +43,85 @@ router.post('/', async (req, res) => {
     await logWebhookAudit(payload, 'RECEIVED');
 
     // Parse the sheet event to sync format
-    const syncEvent = parseSheetEvent(payload);
+    const parsedEvent = isRange ? parseSheetRangeEvent(payload) : parseSheetEvent(payload);
 
-    if (!syncEvent) {
+    if (!parsedEvent) {
       return res.status(400).json({ error: 'Invalid payload' });
     }
 
-    // Process sync
-    const result = await processSyncEvent(syncEvent);
+    // Reject unknown tables and fields before the event is queued
+    await assertEventIdentifiers(parsedEvent);
 
-    // Log success
-    await logWebhookAudit(payload, 'PROCESSED');
+    // Coerce values to their column types; invalid values are rejected
+    const syncEvent = await validateEvent(parsedEvent);
+
+    // Persist before acknowledging, then try to process right away.
+    // A repeated delivery gets the original outcome back instead
+    const { queueId, duplicate, ...outcome } = await submitEvent(syncEvent, payload);
+
+    if (outcome.status !== 'done') {
+      // Kept in the queue - the worker retries it with backoff
+      return res.status(202).json({
+        status: 'queued',
+        queueId,
+        duplicate,
+        message: outcome.error ? outcome.error.message : 'Event queued for processing',
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     res.json({
       status: 'success',
-      result,
+      result: outcome.result,
+      queueId,
+      duplicate,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('[WEBHOOK-SHEET] Error:', error);
-    await logWebhookAudit(req.body, 'ERROR', error);
+    const statusCode = error.statusCode || 500;
+    log[statusCode < 500 ? 'warn' : 'error']('Webhook failed', { error });
+    await logWebhookAudit(req.body, statusCode < 500 ? 'REJECTED' : 'ERROR', error).catch(
+      (auditError) => log.error('Failed to audit webhook', { error: auditError.message }),
+    );
+
+    res.status(statusCode).json({
+      error: statusCode === 400 ? 'Invalid payload' : 'Failed to process webhook',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
 
+/**
+ * POST /sheet/webhook/rowmap
+ * Receives the full key column after rows are inserted, deleted or sorted
+ * so sheet rows keep pointing at the right records
+ * Expected payload:
+ * {
+ *   sheetName: string,
+ *   keys: any[]   // key column values, first data row first
+ * }
+ */
+router.post('/rowmap', async (req, res) => {
+  try {
+    const { sheetName, keys } = req.body;
+    const mapping = getMappingForSheet(sheetName);
+
+    if (!mapping || !Array.isArray(keys)) {
+      return res.status(400).json({ error: 'Invalid payload' });
+    }
+
+    const mapped = await rebuildRowMap(mapping, keys);
+
+    res.json({
+      status: 'success',
+      result: { sheetName, mapped },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    log.error('Row map rebuild failed', { error });
     res.status(500).json({
-      error: 'Failed to process webhook',
+      error: 'Failed to rebuild row map',
       message: error.message,
     });
   }
@@ -56,52 +132,217 @@ router.post('/', async (req, res) => {
  * Expected payload:
  * {
  *   row: number,
+ *   rowKey: any,       // value of the key column, if the row has one
  *   column: number,
  *   oldValue: any,
  *   newValue: any,
- *   sheetName: string
+ *   rowValues: any[],  // whole row, sent when the row has no key yet
+ *   sheetName: string,
+ *   idempotencyKey: string  // generated per edit, kept across retries
  * }
+ * Sheet, table and column → field resolution come from the mapping registry;
+ * the sheet row is resolved to a record id by the sync engine. A row without
+ * a key is a new row: it becomes an INSERT of all its mapped cells.
  */
-const parseSheetEvent = (payload) => {
+export const parseSheetEvent = (payload) => {
   if (!payload.row || !payload.sheetName) {
     return null;
   }
 
-  // Map column numbers to field names (adjust per your schema)
-  const columnMap = {
-    1: 'id', // Column A
-    2: 'name', // Column B
-    3: 'email', // Column C
-    4: 'salary', // Column D
-  };
+  const mapping = getMappingForSheet(payload.sheetName);
+  if (!mapping) {
+    log.info('Ignoring unmapped sheet', { sheetName: payload.sheetName });
+    return null;
+  }
+
+  if (payload.row <= mapping.headerRow) {
+    log.info('Ignoring header row edit', { sheetName: payload.sheetName });
+    return null;
+  }
 
-  const field = columnMap[payload.column];
+  const field = getFieldForColumn(mapping, payload.column);
   if (!field) {
-    console.log(
-      `[SHEET-EVENT] Ignoring non-tracked column ${payload.column}`,
-    );
+    log.info('Ignoring non-tracked column', {
+      sheetName: payload.sheetName,
+      column: payload.column,
+    });
     return null;
   }
 
-  if (field === 'id') {
-    console.log('[SHEET-EVENT] Ignoring ID column edit');
+  if (field === mapping.keyField) {
+    log.info('Ignoring key column edit', { sheetName: payload.sheetName, row: payload.row });
+    return null;
+  }
+
+  const idempotencyKey =
+    normalizeIdempotencyKey(payload.idempotencyKey) ||
+    deriveIdempotencyKey('SHEET', [
+      payload.sheetName,
+      payload.row,
+      payload.rowKey ?? null,
+      payload.column,
+      payload.oldValue ?? null,
+      payload.newValue ?? null,
+      payload.timestamp ?? null,
+    ]);
+
+  const newRow = isNewRow(payload.rowKey, payload.rowValues);
+  const changes = newRow
+    ? { ...rowValuesToChanges(mapping, payload.rowValues), [field]: payload.newValue ?? null }
+    : { [field]: payload.newValue };
+
+  if (newRow && Object.values(changes).every((value) => value === null)) {
+    log.info('Ignoring edit that leaves a new row empty', {
+      sheetName: payload.sheetName,
+      row: payload.row,
+    });
     return null;
   }
 
   return {
     source: 'SHEET',
-    rowId: payload.row,
-    tableId: 'users', // Default table, extend for multiple tables
-    operation: 'UPDATE',
+    idempotencyKey,
+    rowId: payload.rowKey ?? null,
+    tableId: mapping.table,
+    operation: newRow ? 'INSERT' : 'UPDATE',
     timestamp: new Date().toISOString(),
-    changes: {
-      [field]: payload.newValue,
-    },
+    changes,
     metadata: {
       oldValue: payload.oldValue,
       sheetName: payload.sheetName,
+      sheetRow: payload.row,
     },
   };
 };
 
+/**
+ * Parse a multi-cell edit (paste, fill down, clearing a block) into one
+ * BATCH event that the sync engine fans out per row
+ * Expected payload:
+ * {
+ *   row: number,           // top-left cell of the range
+ *   column: number,
+ *   values: any[][],       // one array per sheet row, '' for empty cells
+ *   rowKeys: any[],        // key column value of each row, if any
+ *   rowValues: any[][],    // whole row for rows without a key, else null
+ *   sheetName: string,
+ *   idempotencyKey: string
+ * }
+ * Header, untracked and key column cells are reported back as skipped.
+ * Rows without a key are new rows, created from all their mapped cells.
+ */
+export const parseSheetRangeEvent = (payload) => {
+  if (!payload.row || !payload.column || !payload.sheetName) {
+    return null;
+  }
+
+  const mapping = getMappingForSheet(payload.sheetName);
+  if (!mapping) {
+    log.info('Ignoring unmapped sheet', { sheetName: payload.sheetName });
+    return null;
+  }
+
+  const rows = [];
+  const skippedCells = [];
+
+  payload.values.forEach((rowValues, i) => {
+    const sheetRow = payload.row + i;
+    const changes = {};
+    const cells = [];
+
+    (Array.isArray(rowValues) ? rowValues : []).forEach((value, j) => {
+      const column = payload.column + j;
+      const field = getFieldForColumn(mapping, column);
+
+      let reason = null;
+      if (sheetRow <= mapping.headerRow) reason = 'header_row';
+      else if (!field) reason = 'untracked_column';
+      else if (field === mapping.keyField) reason = 'key_column';
+
+      if (reason) {
+        skippedCells.push({ row: sheetRow, column, status: 'skipped', reason });
+        return;
+      }
+
+      const newValue = value === '' || value === undefined ? null : value;
+      changes[field] = newValue;
+      cells.push({ row: sheetRow, column, field, value: newValue });
+    });
+
+    if (cells.length === 0) return;
+
+    const wholeRow = payload.rowValues?.[i];
+    if (isNewRow(payload.rowKeys?.[i], wholeRow)) {
+      const rowChanges = { ...rowValuesToChanges(mapping, wholeRow), ...changes };
+      if (Object.values(rowChanges).every((value) => value === null)) {
+        cells.forEach(({ row, column }) =>
+          skippedCells.push({ row, column, status: 'skipped', reason: 'empty_row' }),
+        );
+        return;
+      }
+      rows.push({ sheetRow, rowId: null, newRow: true, changes: rowChanges, cells });
+      return;
+    }
+
+    rows.push({
+      sheetRow,
+      rowId: payload.rowKeys?.[i] ?? null,
+      changes,
+      cells,
+    });
+  });
+
+  if (rows.length === 0) {
+    log.info('Ignoring range with no tracked cells', {
+      sheetName: payload.sheetName,
+      row: payload.row,
+    });
+    return null;
+  }
+
+  const idempotencyKey =
+    normalizeIdempotencyKey(payload.idempotencyKey) ||
+    deriveIdempotencyKey('SHEET', [
+      payload.sheetName,
+      payload.row,
+      payload.column,
+      payload.values,
+      payload.rowKeys ?? null,
+      payload.timestamp ?? null,
+    ]);
+
+  return {
+    source: 'SHEET',
+    idempotencyKey,
+    tableId: mapping.table,
+    operation: 'BATCH',
+    timestamp: new Date().toISOString(),
+    rows,
+    skippedCells,
+    metadata: {
+      sheetName: payload.sheetName,
+    },
+  };
+};
+
+/**
+ * A row whose key column is empty has no record yet - if the sheet sent its
+ * cells, it is created instead of updated
+ */
+const isNewRow = (rowKey, rowValues) =>
+  (rowKey === undefined || rowKey === null || rowKey === '') && Array.isArray(rowValues);
+
+/**
+ * Mapped, non-key cells of a whole sheet row as record fields
+ */
+const rowValuesToChanges = (mapping, rowValues) =>
+  Object.fromEntries(
+    mapping.columns
+      .filter((col) => col.field !== mapping.keyField)
+      .map((col) => {
+        const value = rowValues[col.column - 1];
+        return [col.field, value === '' || value === undefined ? null : value];
+      }),
+  );
+
 export default router;
@@ -1,14 +1,109 @@
 import express from 'express';
-import { getAllRecords } from '../services/syncEngine.js';
-import { executeQuery } from '../config/database.js';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip } from 'zlib';
+import { getAllRecords, planSyncEvent, applyRevert } from '../services/syncEngine.js';
+import { parseDbEvent } from './dbWebhook.js';
+import { logWebhookAudit } from '../services/syncEngine.js';
+import {
+  assertEventIdentifiers,
+  assertTable,
+  describeTables,
+  loadSchema,
+} from '../services/schemaRegistry.js';
+import { validateChanges, validateEvent } from '../services/validation.js';
+import { getMappings, getMappingForTable, loadMappings } from '../services/mappingRegistry.js';
+import {
+  submitEvent,
+  getQueueStats,
+  getDeadLetters,
+  retryDeadLetter,
+} from '../services/eventQueue.js';
+import {
+  getSheetWriterStats,
+  getSheetsClient,
+  flushSheetWrites,
+} from '../services/sheetWriter.js';
+import { reconcileSheet } from '../services/reconciler.js';
+import { getStrategyConfiguration } from '../services/conflictStrategies.js';
+import { getSyncStatus } from '../services/syncStatus.js';
+import { STREAM_EVENTS, subscribe } from '../services/eventBus.js';
+import {
+  queryAuditLog,
+  queryConflicts,
+  queryRowHistory,
+  exportLog,
+} from '../services/auditLog.js';
+import { runRetention, getRetentionPolicies } from '../services/retention.js';
+import { replayAuditEntries, parseWebhookPayload } from '../services/replay.js';
+import { buildRevertEvent } from '../services/changeHistory.js';
+import { createLogger } from '../services/logger.js';
+import { SyncError } from '../services/errors.js';
+import {
+  requireApiToken,
+  requireApiTokenOrQuery,
+  requireApiTokenOrSignature,
+} from '../middleware/requireApiToken.js';
+import {
+  resolvePendingConflict,
+  resolvePendingConflicts,
+  getPendingConflictIds,
+} from '../services/conflictQueue.js';
 
 const router = express.Router();
+const log = createLogger('sync-api');
+
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS || '15000', 10);
+const STREAM_RETRY_MS = 3000;
+
+/**
+ * GET /sync/tables
+ * Synced tables with column metadata (type, rules, editability)
+ */
+router.get('/tables', async (req, res) => {
+  try {
+    const tables = await describeTables();
+    res.json({
+      status: 'success',
+      data: tables,
+      count: tables.length,
+    });
+  } catch (error) {
+    log.error('Fetching tables failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch tables',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /sync/tables/:table/rows
+ * Fetch all records from a synced table
+ */
+router.get('/tables/:table/rows', requireApiToken, async (req, res) => {
+  try {
+    const rows = await getAllRecords(req.params.table);
+    res.json({
+      status: 'success',
+      data: rows,
+      count: rows.length,
+    });
+  } catch (error) {
+    log.error('Fetching rows failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch rows',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
 
 /**
  * GET /sync/users
- * Fetch all records from users table
+ * Fetch all records from users table (same as /sync/tables/users/rows)
  */
-router.get('/users', async (req, res) => {
+router.get('/users', requireApiToken, async (req, res) => {
   try {
     const users = await getAllRecords('users');
     res.json({
@@ -17,7 +112,7 @@ router.get('/users', async (req, res) => {
       count: users.length,
     });
   } catch (error) {
-    console.error('[SYNC-API] Error fetching users:', error);
+    log.error('Fetching users failed', { error });
     res.status(500).json({
       error: 'Failed to fetch users',
       message: error.message,
@@ -26,45 +121,344 @@ router.get('/users', async (req, res) => {
 });
 
 /**
- * GET /sync/conflicts
- * Fetch all sync conflicts
+ * POST /sync/changes
+ * Edits made in the dashboard. Same payload as /db/webhook, but
+ * authenticated with an API token so the browser never needs the webhook
+ * signing secret
  */
-router.get('/conflicts', async (req, res) => {
+router.post('/changes', requireApiToken, async (req, res) => {
   try {
-    const conflicts = await executeQuery(
-      `SELECT * FROM sync_conflicts ORDER BY created_at DESC LIMIT 50`,
+    const payload = req.body;
+
+    await logWebhookAudit(payload, 'RECEIVED');
+
+    const parsedEvent = parseDbEvent(payload, req.get('Idempotency-Key'));
+    if (!parsedEvent) {
+      return res.status(400).json({ error: 'Invalid payload' });
+    }
+
+    await assertEventIdentifiers(parsedEvent);
+    const syncEvent = await validateEvent(parsedEvent);
+
+    const { queueId, duplicate, ...outcome } = await submitEvent(syncEvent, payload);
+
+    res.status(outcome.status === 'done' ? 200 : 202).json({
+      status: outcome.status === 'done' ? 'success' : 'queued',
+      result: outcome.result,
+      queueId,
+      duplicate,
+    });
+  } catch (error) {
+    log.error('Applying dashboard change failed', { error });
+    const statusCode = error.statusCode || 500;
+    await logWebhookAudit(req.body, statusCode < 500 ? 'REJECTED' : 'ERROR', error).catch(
+      (auditError) => log.error('Failed to audit change', { error: auditError.message }),
     );
+    res.status(statusCode).json({
+      error: 'Failed to apply change',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
+
+/**
+ * POST /sync/validate
+ * Check changes against the column rules without applying them, so the
+ * dashboard can show the same messages the webhooks would reject with
+ * Body: { tableId, rowId?, operation?, changes }
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { tableId, rowId = null, operation = 'UPDATE', changes = {} } = req.body;
+
+    await assertEventIdentifiers({ tableId, changes });
+    const { values, fieldErrors } = await validateChanges(tableId, changes, {
+      rowId,
+      operation,
+    });
+
+    res.json({
+      status: 'success',
+      data: { valid: fieldErrors.length === 0, values, fieldErrors },
+    });
+  } catch (error) {
+    log.error('Validating changes failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to validate changes',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
+
+const PLAN_SOURCES = ['DB', 'SHEET'];
+
+/**
+ * Event to plan: a webhook payload as it arrives (a sheet edit, a range or
+ * a DB change), or a composed change - the DB payload plus source and, for
+ * a sheet-side change, the sheet row it was made in
+ */
+const parsePlanPayload = (payload) => {
+  const parsed = parseWebhookPayload(payload);
+  if (!parsed || payload.sheetName || payload.source === undefined) {
+    return parsed;
+  }
+
+  if (!PLAN_SOURCES.includes(payload.source)) {
+    throw new SyncError(`source must be one of ${PLAN_SOURCES.join(', ')}`, 400);
+  }
+  if (payload.source === 'DB') {
+    return parsed;
+  }
+
+  return {
+    ...parsed,
+    source: 'SHEET',
+    metadata: {
+      ...parsed.metadata,
+      sheetName: getMappingForTable(parsed.tableId).sheetName,
+      sheetRow: payload.sheetRow ?? null,
+    },
+  };
+};
+
+/**
+ * POST /sync/plan
+ * Run an event through the sync engine without writing anything: the
+ * decision path (stale, loopback, conflict, apply...), detected conflicts
+ * and resolved values, the SQL that would run and the sheet writes that
+ * would be queued. Reads see the current data, so the plan is what would
+ * happen right now.
+ */
+router.post('/plan', requireApiToken, async (req, res) => {
+  try {
+    const parsedEvent = parsePlanPayload(req.body || {});
+    if (!parsedEvent) {
+      return res.status(400).json({ error: 'Invalid payload' });
+    }
+
+    await assertEventIdentifiers(parsedEvent);
+    const syncEvent = await validateEvent(parsedEvent);
+
+    res.json({ status: 'success', data: await planSyncEvent(syncEvent) });
+  } catch (error) {
+    log.error('Planning event failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to plan event',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
+
+/**
+ * GET /sync/mappings
+ * Sheet ↔ table mappings the sync engine is running with
+ */
+router.get('/mappings', (req, res) => {
+  const mappings = getMappings();
+  res.json({
+    status: 'success',
+    data: mappings,
+    count: mappings.length,
+  });
+});
+
+/**
+ * POST /sync/mappings/reload
+ * Re-read the mapping config file (and the table schema) without restarting
+ * the server
+ */
+router.post('/mappings/reload', requireApiToken, async (req, res) => {
+  try {
+    const mappings = loadMappings();
+    await loadSchema();
     res.json({
       status: 'success',
-      data: conflicts,
-      count: conflicts.length,
+      data: mappings,
+      count: mappings.length,
     });
   } catch (error) {
-    console.error('[SYNC-API] Error fetching conflicts:', error);
+    log.error('Reloading mappings failed', { error });
     res.status(500).json({
+      error: 'Failed to reload mappings',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /sync/strategies
+ * Active conflict strategy configuration per table and field
+ */
+router.get('/strategies', (req, res) => {
+  res.json({
+    status: 'success',
+    data: getStrategyConfiguration(),
+  });
+});
+
+/**
+ * GET /sync/rows/:table/:id/history
+ * Applied changes of one record, newest first, with before/after values
+ * Query: cursor, limit, source, operation, from, to, q
+ */
+router.get('/rows/:table/:id/history', requireApiToken, async (req, res) => {
+  try {
+    await assertTable(req.params.table);
+    const { data, total, nextCursor } = await queryRowHistory(
+      req.params.table,
+      req.params.id,
+      req.query,
+    );
+    res.json({
+      status: 'success',
+      data,
+      count: data.length,
+      total,
+      nextCursor,
+    });
+  } catch (error) {
+    log.error('Fetching row history failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch row history',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
+
+/**
+ * POST /sync/rows/:table/:id/revert/:changeId
+ * Restore the values a change replaced. Applied directly, without
+ * conflict strategies, and audited as REVERT; reverting the same change
+ * again before the record moves on is ignored (already_reverted)
+ */
+router.post('/rows/:table/:id/revert/:changeId', requireApiToken, async (req, res) => {
+  const { table, id, changeId } = req.params;
+  const payload = { tableId: table, rowId: id, operation: 'REVERT', changeId };
+
+  try {
+    await logWebhookAudit(payload, 'RECEIVED');
+
+    const revertEvent = await buildRevertEvent(table, id, changeId);
+    await assertEventIdentifiers(revertEvent);
+    const syncEvent = await validateEvent(revertEvent);
+
+    const result = await applyRevert(syncEvent);
+    await logWebhookAudit(payload, 'REVERT', null, syncEvent);
+
+    res.json({ status: 'success', result });
+  } catch (error) {
+    log.error('Reverting change failed', { error });
+    const statusCode = error.statusCode || 500;
+    await logWebhookAudit(payload, statusCode < 500 ? 'REJECTED' : 'ERROR', error).catch(
+      (auditError) => log.error('Failed to audit revert', { error: auditError.message }),
+    );
+    res.status(statusCode).json({
+      error: 'Failed to revert change',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
+
+/**
+ * GET /sync/conflicts
+ * Page through sync conflicts, newest first
+ * Query: cursor, limit, status, source, table, rowId, field, from, to, q
+ */
+router.get('/conflicts', requireApiToken, async (req, res) => {
+  try {
+    const { data, total, nextCursor } = await queryConflicts(req.query);
+    res.json({
+      status: 'success',
+      data,
+      count: data.length,
+      total,
+      nextCursor,
+    });
+  } catch (error) {
+    log.error('Fetching conflicts failed', { error });
+    res.status(error.statusCode || 500).json({
       error: 'Failed to fetch conflicts',
       message: error.message,
     });
   }
 });
 
+/**
+ * POST /sync/conflicts/resolve
+ * Bulk-resolve pending conflicts
+ * Body: { ids?: number[], all?: boolean, resolution: 'sheet' | 'db' | 'custom', value?: any }
+ */
+router.post('/conflicts/resolve', requireApiToken, async (req, res) => {
+  try {
+    const { ids, all, resolution, value } = req.body;
+
+    if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ error: 'Provide conflict ids or all: true' });
+    }
+
+    const conflictIds = all ? await getPendingConflictIds() : ids;
+    const results = await resolvePendingConflicts(conflictIds, resolution, value);
+
+    res.json({
+      status: 'success',
+      data: results,
+      count: results.length,
+    });
+  } catch (error) {
+    log.error('Resolving conflicts failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to resolve conflicts',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /sync/conflicts/:id/resolve
+ * Resolve a single pending conflict
+ * Body: { resolution: 'sheet' | 'db' | 'custom', value?: any }
+ */
+router.post('/conflicts/:id/resolve', requireApiToken, async (req, res) => {
+  try {
+    const { resolution, value } = req.body;
+    const result = await resolvePendingConflict(req.params.id, resolution, value);
+
+    res.json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    log.error('Resolving conflict failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to resolve conflict',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * GET /sync/changelog
- * Fetch webhook audit log
+ * Page through the webhook audit log, newest first
+ * Query: cursor, limit, status, source, table, rowId, from, to, q
  */
-router.get('/changelog', async (req, res) => {
+router.get('/changelog', requireApiToken, async (req, res) => {
   try {
-    const log = await executeQuery(
-      `SELECT * FROM webhook_audit ORDER BY created_at DESC LIMIT 50`,
-    );
+    const { data, total, nextCursor } = await queryAuditLog(req.query);
     res.json({
       status: 'success',
-      data: log,
-      count: log.length,
+      data,
+      count: data.length,
+      total,
+      nextCursor,
     });
   } catch (error) {
-    console.error('[SYNC-API] Error fetching changelog:', error);
-    res.status(500).json({
+    log.error('Fetching changelog failed', { error });
+    res.status(error.statusCode || 500).json({
       error: 'Failed to fetch changelog',
       message: error.message,
     });
@@ -72,32 +466,247 @@ router.get('/changelog', async (req, res) => {
 });
 
 /**
- * GET /sync/status
- * Get overall sync status
+ * POST /sync/replay
+ * Re-run webhooks stored in the audit log
+ * Body: { ids: [auditId...] } or { filter: { status, source, table, rowId,
+ * from, to, q } }, plus dryRun (parse and validate only), force (also
+ * replay deliveries that were processed) and limit
  */
-router.get('/status', async (req, res) => {
+router.post('/replay', requireApiToken, async (req, res) => {
   try {
-    const [userCount] = await executeQuery(
-      `SELECT COUNT(*) as count FROM users`,
-    );
-    const [conflictCount] = await executeQuery(
-      `SELECT COUNT(*) as count FROM sync_conflicts WHERE resolved_at IS NULL`,
-    );
-    const [logCount] = await executeQuery(
-      `SELECT COUNT(*) as count FROM webhook_audit WHERE status = 'PROCESSED'`,
-    );
+    const { dryRun, summary, results } = await replayAuditEntries(req.body || {});
+    res.json({ status: 'success', dryRun, summary, results, count: results.length });
+  } catch (error) {
+    log.error('Replaying audit entries failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to replay',
+      message: error.message,
+      ...error.details,
+    });
+  }
+});
+
+/**
+ * GET /sync/export
+ * Stream a log as NDJSON, oldest first: ?log=audit|conflicts|history
+ * (default audit), from (required), to, the log's usual filters and
+ * gzip=true for a compressed download. Rows already archived by the
+ * retention job are not included.
+ */
+router.get('/export', requireApiToken, async (req, res) => {
+  const name = req.query.log || 'audit';
+
+  let rows;
+  try {
+    rows = await exportLog(name, req.query);
+  } catch (error) {
+    log.error('Starting export failed', { error });
+    return res.status(error.statusCode || 500).json({
+      error: 'Failed to export log',
+      message: error.message,
+      ...error.details,
+    });
+  }
+
+  const gzip = req.query.gzip === 'true';
+  res.set({
+    'Content-Type': gzip ? 'application/gzip' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="${name}-export.ndjson${gzip ? '.gz' : ''}"`,
+  });
+
+  const toLines = new Transform({
+    writableObjectMode: true,
+    transform: (row, encoding, callback) => callback(null, `${JSON.stringify(row)}\n`),
+  });
+
+  try {
+    await pipeline(rows, toLines, ...(gzip ? [createGzip()] : []), res);
+  } catch (error) {
+    // Headers are gone - the client sees a truncated download
+    log.error('Export failed', { log: name, error: error.message });
+  }
+});
+
+/**
+ * GET /sync/retention
+ * Retention policy per table and where archives are written
+ */
+router.get('/retention', (req, res) => {
+  res.json({ status: 'success', data: getRetentionPolicies() });
+});
+
+/**
+ * POST /sync/retention/run
+ * Archive and delete expired rows now instead of waiting for the next run
+ */
+router.post('/retention/run', requireApiToken, async (req, res) => {
+  try {
+    const result = await runRetention();
+    res.json({ status: 'success', data: result });
+  } catch (error) {
+    log.error('Running retention failed', { error });
+    res.status(500).json({
+      error: 'Failed to run retention',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /sync/queue
+ * Inbound event queue depth per status
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+    res.json({
+      status: 'success',
+      data: stats,
+    });
+  } catch (error) {
+    log.error('Fetching queue stats failed', { error });
+    res.status(500).json({
+      error: 'Failed to fetch queue stats',
+      message: error.message,
+    });
+  }
+});
 
+/**
+ * GET /sync/queue/dead
+ * Dead-lettered events
+ */
+router.get('/queue/dead', requireApiToken, async (req, res) => {
+  try {
+    const items = await getDeadLetters();
+    res.json({
+      status: 'success',
+      data: items,
+      count: items.length,
+    });
+  } catch (error) {
+    log.error('Fetching dead letters failed', { error });
+    res.status(500).json({
+      error: 'Failed to fetch dead letters',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /sync/queue/:id/retry
+ * Re-run a dead-lettered event
+ */
+router.post('/queue/:id/retry', requireApiToken, async (req, res) => {
+  try {
+    const outcome = await retryDeadLetter(req.params.id);
     res.json({
       status: 'success',
       data: {
-        totalUsers: userCount.count,
-        unresolved_conflicts: conflictCount.count,
-        processed_webhooks: logCount.count,
-        timestamp: new Date().toISOString(),
+        status: outcome.status,
+        result: outcome.result,
+        error: outcome.error ? outcome.error.message : undefined,
       },
     });
   } catch (error) {
-    console.error('[SYNC-API] Error fetching status:', error);
+    log.error('Retrying queue item failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to retry queue item',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /sync/outbound
+ * DB → Sheet writer state: client in use, buffered and failed writes
+ */
+router.get('/outbound', requireApiToken, (req, res) => {
+  res.json({
+    status: 'success',
+    data: getSheetWriterStats(),
+  });
+});
+
+/**
+ * POST /sync/outbound/flush
+ * Send buffered sheet writes now
+ */
+router.post('/outbound/flush', requireApiToken, async (req, res) => {
+  try {
+    await flushSheetWrites();
+    res.json({
+      status: 'success',
+      data: getSheetWriterStats(),
+    });
+  } catch (error) {
+    log.error('Flushing sheet writes failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to flush sheet writes',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /sync/outbound/sheets/:sheetName
+ * Sheet contents as seen by the local fake client (not available for
+ * real Sheets clients)
+ */
+router.get('/outbound/sheets/:sheetName', requireApiToken, (req, res) => {
+  const client = getSheetsClient();
+
+  if (typeof client.getValues !== 'function') {
+    return res.status(404).json({
+      error: 'Sheet contents are only available with the fake Sheets client',
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: client.getValues(req.params.sheetName),
+  });
+});
+
+/**
+ * POST /sync/reconcile
+ * Diff a full sheet snapshot against its mapped table
+ * Body: { sheetName, values: any[][], capturedAt?: string, apply?: boolean, applyDeletes?: boolean }
+ * capturedAt is when the sheet was read; records changed since are skipped
+ */
+router.post('/reconcile', requireApiTokenOrSignature, async (req, res) => {
+  try {
+    const { sheetName, values, capturedAt, apply, applyDeletes } = req.body;
+    const report = await reconcileSheet(
+      { sheetName, values, capturedAt },
+      { apply: Boolean(apply), applyDeletes: Boolean(applyDeletes) },
+    );
+
+    res.json({
+      status: 'success',
+      data: report,
+    });
+  } catch (error) {
+    log.error('Reconciling sheet failed', { error });
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to reconcile sheet',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /sync/status
+ * Get overall sync status
+ */
+router.get('/status', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await getSyncStatus(),
+    });
+  } catch (error) {
+    log.error('Fetching status failed', { error });
     res.status(500).json({
       error: 'Failed to fetch status',
       message: error.message,
@@ -105,4 +714,40 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /sync/stream
+ * Server-Sent Events stream of row changes, audit entries, conflicts and
+ * status updates for the dashboard. The current status is sent on connect.
+ */
+router.get('/stream', requireApiTokenOrQuery, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = ({ id, type, data }) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Browsers reconnect by themselves after this delay
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  getSyncStatus()
+    .then((status) => send({ type: STREAM_EVENTS.STATUS, data: status }))
+    .catch((error) => log.error('Stream status failed', { error: error.message }));
+
+  log.info('Stream client connected');
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 export default router;
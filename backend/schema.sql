@@ -21,6 +21,7 @@ CREATE TABLE change_log (
   old_value JSON,
   new_value JSON,
   source VARCHAR(50),
+  revert_of INT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   processed BOOLEAN DEFAULT FALSE,
   INDEX idx_row (table_name, row_id),
@@ -34,8 +35,17 @@ CREATE TABLE webhook_audit (
   payload JSON NOT NULL,
   status VARCHAR(50),
   error_message TEXT,
+  error_details JSON,
+  source VARCHAR(50),
+  table_name VARCHAR(100),
+  row_id VARCHAR(100),
+  correlation_id VARCHAR(64),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  INDEX idx_created (created_at)
+  INDEX idx_created (created_at),
+  INDEX idx_status (status),
+  INDEX idx_source (source),
+  INDEX idx_row (table_name, row_id),
+  INDEX idx_correlation (correlation_id)
 );
 
 -- Conflict tracking
@@ -43,11 +53,73 @@ CREATE TABLE sync_conflicts (
   id INT PRIMARY KEY AUTO_INCREMENT,
   table_name VARCHAR(100),
   row_id INT,
+  field_name VARCHAR(100),
+  event_source VARCHAR(50),
   sheet_value VARCHAR(500),
   db_value VARCHAR(500),
   resolved_value VARCHAR(500),
   resolution_strategy VARCHAR(50),
-  resolved_at TIMESTAMP,
+  status VARCHAR(20) DEFAULT 'RESOLVED',
+  correlation_id VARCHAR(64),
+  resolved_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_resolved (resolved_at),
+  INDEX idx_status (status),
+  INDEX idx_row (table_name, row_id),
+  INDEX idx_created (created_at),
+  INDEX idx_correlation (correlation_id)
+);
+
+-- Stable identity between sheet rows and table primary keys
+CREATE TABLE sheet_row_map (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  sheet_name VARCHAR(100) NOT NULL,
+  sheet_row INT NOT NULL,
+  table_name VARCHAR(100) NOT NULL,
+  record_id VARCHAR(100) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_sheet_row (sheet_name, sheet_row),
+  UNIQUE KEY uniq_record (table_name, record_id)
+);
+
+-- Durable inbound event queue (webhooks are persisted here before they are acknowledged)
+CREATE TABLE sync_queue (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  source VARCHAR(50) NOT NULL,
+  table_name VARCHAR(100),
+  event JSON NOT NULL,
+  payload JSON,
+  status VARCHAR(20) DEFAULT 'PENDING',
+  attempts INT DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  claimed_at TIMESTAMP NULL,
+  last_error TEXT,
+  result JSON,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  INDEX idx_resolved (resolved_at)
+  processed_at TIMESTAMP NULL,
+  INDEX idx_due (status, next_attempt_at),
+  INDEX idx_created (created_at)
+);
+
+-- Idempotency keys of accepted events (repeat deliveries return the original outcome)
+CREATE TABLE sync_idempotency_keys (
+  idempotency_key VARCHAR(191) PRIMARY KEY,
+  source VARCHAR(50) NOT NULL,
+  queue_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  INDEX idx_expires (expires_at)
+);
+
+-- Durable outbound sheet writes (stored with the change, deleted once the sheet has them)
+CREATE TABLE sheet_outbox (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  op JSON NOT NULL,
+  status VARCHAR(20) DEFAULT 'PENDING',
+  attempts INT DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  failed_at TIMESTAMP NULL,
+  INDEX idx_status (status),
+  INDEX idx_created (created_at)
 );
@@ -0,0 +1,30 @@
+import pool from '../config/database.js';
+import {
+  installCaptureTriggers,
+  uninstallCaptureTriggers,
+} from '../services/changeCapture.js';
+
+/**
+ * Install (or with --uninstall, remove) the change capture triggers on every
+ * table in config/mappings.json
+ *
+ *   npm run capture:install
+ *   npm run capture:uninstall
+ */
+const run = async () => {
+  try {
+    if (process.argv.includes('--uninstall')) {
+      await uninstallCaptureTriggers();
+    } else {
+      const tables = await installCaptureTriggers();
+      console.log(`[CAPTURE] Capturing direct edits on: ${tables.join(', ') || 'nothing'}`);
+    }
+  } catch (error) {
+    console.error('[CAPTURE] Failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+run();
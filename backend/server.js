@@ -6,31 +6,58 @@ import { dirname } from 'path';
 import sheetWebhookRouter from './routes/sheetWebhook.js';
 import dbWebhookRouter from './routes/dbWebhook.js';
 import syncRouter from './routes/sync.js';
+import healthRouter from './routes/health.js';
+import { httpMetrics, renderMetrics, METRICS_CONTENT_TYPE } from './services/metrics.js';
+import './config/conflictResolvers.js';
+import { startQueueWorker } from './services/eventQueue.js';
+import { startChangeCapture } from './services/changeCapture.js';
+import { verifyWebhookSignature } from './middleware/verifyWebhookSignature.js';
+import { correlationId, CORRELATION_HEADER } from './middleware/correlationId.js';
+import { createLogger } from './services/logger.js';
+import { loadSchema } from './services/schemaRegistry.js';
+import { startIdempotencyPurge } from './services/idempotency.js';
+import { startStatusBroadcast } from './services/syncStatus.js';
+import { startRetention } from './services/retention.js';
+import { startSheetWriter } from './services/sheetWriter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const log = createLogger('server');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use(httpMetrics);
+app.use(cors({ exposedHeaders: [CORRELATION_HEADER] }));
+app.use(
+  bodyParser.json({
+    limit: '10mb',
+    // Keep the exact bytes for webhook signature verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    },
+  }),
+);
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
+// After the body parsers - their stream callbacks would drop the id's context
+app.use(correlationId);
 
 // Routes
-app.use('/sheet/webhook', sheetWebhookRouter);
-app.use('/db/webhook', dbWebhookRouter);
+app.use('/sheet/webhook', verifyWebhookSignature, sheetWebhookRouter);
+app.use('/db/webhook', verifyWebhookSignature, dbWebhookRouter);
 app.use('/sync', syncRouter);
+app.use('/health', healthRouter);
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('[ERROR]', err);
+  log.error('Unhandled error', { error: err, path: req.originalUrl });
   res.status(500).json({
     error: 'Internal server error',
     message: err.message,
@@ -38,7 +65,19 @@ app.use((err, req, res, next) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`[SERVER] Running on http://localhost:${PORT}`);
-  console.log(`[WEBHOOK] Sheet events: POST /sheet/webhook`);
-  console.log(`[WEBHOOK] DB events: POST /db/webhook`);
+  log.info(`Running on http://localhost:${PORT}`, {
+    webhooks: ['POST /sheet/webhook', 'POST /db/webhook'],
+  });
+
+  // Retried lazily on first use if MySQL is not reachable yet
+  loadSchema().catch((error) => {
+    log.error('Failed to load schema', { error: error.message });
+  });
+
+  startQueueWorker();
+  startSheetWriter();
+  startIdempotencyPurge();
+  startStatusBroadcast();
+  startChangeCapture();
+  startRetention();
 });
@@ -0,0 +1,207 @@
+import { executeQuery, streamQuery } from '../config/database.js';
+import { SyncError } from './errors.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Audit, conflict and change history queries
+ *
+ * The logs are paged newest first with an id cursor: each page returns
+ * nextCursor, and passing it back as ?cursor= continues below it, so pages
+ * stay stable while new entries arrive. Filters are combined with AND and
+ * the total count ignores the cursor.
+ */
+
+const LOGS = {
+  audit: {
+    table: 'webhook_audit',
+    columns: {
+      status: 'status',
+      source: 'source',
+      table: 'table_name',
+      rowId: 'row_id',
+      correlationId: 'correlation_id',
+    },
+    search: ['CAST(payload AS CHAR)', 'error_message'],
+  },
+  conflicts: {
+    table: 'sync_conflicts',
+    columns: {
+      status: 'status',
+      source: 'event_source',
+      table: 'table_name',
+      rowId: 'row_id',
+      field: 'field_name',
+      correlationId: 'correlation_id',
+    },
+    search: ['field_name', 'sheet_value', 'db_value', 'resolved_value'],
+  },
+  history: {
+    table: 'change_log',
+    columns: { table: 'table_name', rowId: 'row_id', source: 'source', operation: 'operation' },
+    search: ['CAST(old_value AS CHAR)', 'CAST(new_value AS CHAR)'],
+  },
+};
+
+const parseList = (value) =>
+  String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseDate = (value, name) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new SyncError(`Invalid ${name} date "${value}"`, 400);
+  }
+  return new Date(time);
+};
+
+const parsePositiveInt = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new SyncError(`${name} must be a positive integer`, 400);
+  }
+  return number;
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * WHERE clause for the filters in a request's query string
+ * status, source and operation accept comma-separated lists
+ */
+const buildFilters = (log, query) => {
+  const clauses = [];
+  const values = [];
+
+  for (const [param, column] of Object.entries(log.columns)) {
+    if (query[param] === undefined || query[param] === '') continue;
+
+    if (param === 'status' || param === 'source' || param === 'operation') {
+      const list = parseList(query[param]);
+      clauses.push(`${column} IN (${list.map(() => '?').join(', ')})`);
+      values.push(...list);
+    } else {
+      clauses.push(`${column} = ?`);
+      values.push(String(query[param]));
+    }
+  }
+
+  if (query.from) {
+    clauses.push('created_at >= ?');
+    values.push(parseDate(query.from, 'from'));
+  }
+  if (query.to) {
+    clauses.push('created_at <= ?');
+    values.push(parseDate(query.to, 'to'));
+  }
+
+  if (query.q) {
+    const term = `%${escapeLike(String(query.q))}%`;
+    clauses.push(`(${log.search.map((column) => `${column} LIKE ?`).join(' OR ')})`);
+    values.push(...log.search.map(() => term));
+  }
+
+  return { clauses, values };
+};
+
+const queryLog = async (log, query) => {
+  const limit = Math.min(
+    query.limit ? parsePositiveInt(query.limit, 'limit') : DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+  );
+  const { clauses, values } = buildFilters(log, query);
+  const where = (extra) => {
+    const all = extra ? [...clauses, extra] : clauses;
+    return all.length > 0 ? `WHERE ${all.join(' AND ')}` : '';
+  };
+
+  const cursor = query.cursor ? parsePositiveInt(query.cursor, 'cursor') : null;
+
+  // One extra row tells whether there is another page
+  const rows = await executeQuery(
+    `SELECT * FROM ${log.table} ${where(cursor ? 'id < ?' : null)}
+     ORDER BY id DESC LIMIT ${limit + 1}`,
+    cursor ? [...values, cursor] : values,
+  );
+  const [{ total }] = await executeQuery(
+    `SELECT COUNT(*) AS total FROM ${log.table} ${where(null)}`,
+    values,
+  );
+
+  const page = rows.slice(0, limit);
+  return {
+    data: page,
+    total,
+    nextCursor: rows.length > limit ? page[page.length - 1].id : null,
+  };
+};
+
+/**
+ * Webhook audit entries
+ * Filters: status, source, table, rowId, correlationId, from, to, q (payload and
+ * error text)
+ */
+export const queryAuditLog = (query) => queryLog(LOGS.audit, query);
+
+/**
+ * Sync conflicts
+ * Filters: status, source, table, rowId, field, correlationId, from, to, q
+ * (field and values)
+ */
+export const queryConflicts = (query) => queryLog(LOGS.conflicts, query);
+
+/**
+ * Change history of one record
+ * Filters: source, operation, from, to, q (old and new values)
+ */
+export const queryRowHistory = (tableId, rowId, query) =>
+  queryLog(LOGS.history, { ...query, table: tableId, rowId });
+
+/**
+ * Audit entries to replay, oldest first: the given ids, or up to limit
+ * entries matching the usual audit filters (at least one is required)
+ */
+export const findAuditEntries = async ({ ids, filter = {} }, limit) => {
+  if (ids) {
+    return await executeQuery(
+      `SELECT * FROM webhook_audit WHERE id IN (${ids.map(() => '?').join(', ')})
+       ORDER BY id ASC`,
+      ids,
+    );
+  }
+
+  const { clauses, values } = buildFilters(LOGS.audit, filter);
+  if (clauses.length === 0) {
+    throw new SyncError('A replay filter needs at least one condition', 400);
+  }
+
+  return await executeQuery(
+    `SELECT * FROM webhook_audit WHERE ${clauses.join(' AND ')}
+     ORDER BY id ASC LIMIT ${limit}`,
+    values,
+  );
+};
+
+/**
+ * Every entry of a log in a date range, oldest first, as an object-mode
+ * stream (GET /sync/export). Takes the same filters as the paged queries;
+ * from is required so an export is never an accidental full-table dump.
+ */
+export const exportLog = async (name, query) => {
+  const log = Object.hasOwn(LOGS, name) ? LOGS[name] : null;
+  if (!log) {
+    throw new SyncError(`Unknown log "${name}"`, 400, { logs: Object.keys(LOGS) });
+  }
+  if (!query.from) {
+    throw new SyncError('from is required', 400);
+  }
+
+  const { clauses, values } = buildFilters(log, query);
+  return await streamQuery(
+    `SELECT * FROM ${log.table} WHERE ${clauses.join(' AND ')} ORDER BY id ASC`,
+    values,
+  );
+};
@@ -0,0 +1,202 @@
+import { executeQuery, executeUpdate, getConnection } from '../config/database.js';
+import { getMappings } from './mappingRegistry.js';
+import { submitEvent } from './eventQueue.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('capture');
+
+const POLL_INTERVAL_MS = parseInt(process.env.CAPTURE_POLL_INTERVAL_MS || '1000', 10);
+const BATCH_SIZE = parseInt(process.env.CAPTURE_BATCH_SIZE || '50', 10);
+
+export const CAPTURE_SOURCE = 'DB_CAPTURE';
+
+const OPERATIONS = ['INSERT', 'UPDATE', 'DELETE'];
+
+/**
+ * Change data capture for direct MySQL edits
+ *
+ * Generated AFTER INSERT/UPDATE/DELETE triggers on every mapped table write
+ * the old and new row into change_log (source DB_CAPTURE). The poller turns
+ * those rows into DB sync events and feeds them through the inbound queue.
+ *
+ * The backend's own connections set @sync_engine_write (config/database.js),
+ * which the triggers skip, so only writes from other clients are captured.
+ */
+
+const triggerName = (table, operation) =>
+  `sync_capture_${table}_${operation.toLowerCase()}`;
+
+const rowJson = (fields, alias) =>
+  `JSON_OBJECT(${fields.map((field) => `'${field}', ${alias}.\`${field}\``).join(', ')})`;
+
+/**
+ * CREATE TRIGGER statements for one mapping
+ */
+export const buildTriggerStatements = (mapping) => {
+  const fields = mapping.columns.map((col) => col.field);
+  const table = mapping.table;
+
+  return OPERATIONS.map((operation) => {
+    const rowAlias = operation === 'DELETE' ? 'OLD' : 'NEW';
+    const oldValue = operation === 'INSERT' ? 'NULL' : rowJson(fields, 'OLD');
+    const newValue = operation === 'DELETE' ? 'NULL' : rowJson(fields, 'NEW');
+
+    return `
+      CREATE TRIGGER \`${triggerName(table, operation)}\`
+      AFTER ${operation} ON \`${table}\`
+      FOR EACH ROW
+      BEGIN
+        IF @sync_engine_write IS NULL THEN
+          INSERT INTO change_log
+            (table_name, row_id, operation, old_value, new_value, source, processed)
+          VALUES
+            ('${table}', ${rowAlias}.\`${mapping.keyField}\`, '${operation}',
+             ${oldValue}, ${newValue}, '${CAPTURE_SOURCE}', FALSE);
+        END IF;
+      END
+    `;
+  });
+};
+
+/**
+ * (Re)create capture triggers for every mapped table
+ */
+export const installCaptureTriggers = async () => {
+  const connection = await getConnection();
+  const installed = [];
+
+  try {
+    for (const mapping of getMappings()) {
+      for (const operation of OPERATIONS) {
+        await connection.query(
+          `DROP TRIGGER IF EXISTS \`${triggerName(mapping.table, operation)}\``,
+        );
+      }
+      for (const statement of buildTriggerStatements(mapping)) {
+        await connection.query(statement);
+      }
+      installed.push(mapping.table);
+      log.info('Installed triggers', { tableId: mapping.table });
+    }
+  } finally {
+    connection.release();
+  }
+
+  return installed;
+};
+
+/**
+ * Drop capture triggers for every mapped table
+ */
+export const uninstallCaptureTriggers = async () => {
+  const connection = await getConnection();
+
+  try {
+    for (const mapping of getMappings()) {
+      for (const operation of OPERATIONS) {
+        await connection.query(
+          `DROP TRIGGER IF EXISTS \`${triggerName(mapping.table, operation)}\``,
+        );
+      }
+      log.info('Removed triggers', { tableId: mapping.table });
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Turn captured change_log rows into sync events
+ */
+export const pollCapturedChanges = async () => {
+  const rows = await executeQuery(
+    `SELECT * FROM change_log
+     WHERE processed = FALSE AND source = ?
+     ORDER BY id ASC LIMIT ${BATCH_SIZE}`,
+    [CAPTURE_SOURCE],
+  );
+
+  for (const row of rows) {
+    const event = toSyncEvent(row);
+
+    if (event) {
+      // Keyed by change_log id, so a poll interrupted before the row was
+      // marked processed does not apply the change twice
+      await submitEvent(event, { capturedChange: row.id });
+    }
+
+    // Queued (or nothing to sync) - the queue owns retries from here on
+    await executeUpdate(`UPDATE change_log SET processed = TRUE WHERE id = ?`, [row.id]);
+  }
+
+  return rows.length;
+};
+
+const toSyncEvent = (row) => {
+  const oldValue = parseJsonColumn(row.old_value) || {};
+  const newValue = parseJsonColumn(row.new_value) || {};
+
+  // Only fields that actually changed are synced
+  const changes =
+    row.operation === 'UPDATE'
+      ? Object.fromEntries(
+          Object.entries(newValue).filter(
+            ([field, value]) => JSON.stringify(value) !== JSON.stringify(oldValue[field]),
+          ),
+        )
+      : newValue;
+
+  if (row.operation === 'UPDATE' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  return {
+    source: 'DB',
+    idempotencyKey: `capture:${row.id}`,
+    rowId: row.row_id,
+    tableId: row.table_name,
+    operation: row.operation,
+    timestamp: new Date(row.created_at).toISOString(),
+    changes,
+    metadata: {
+      captured: true,
+      changeLogId: row.id,
+    },
+  };
+};
+
+let pollTimer = null;
+
+/**
+ * Start polling change_log for captured changes
+ */
+export const startChangeCapture = () => {
+  if (process.env.CHANGE_CAPTURE_ENABLED === 'false') {
+    log.info('Change capture disabled');
+    return;
+  }
+
+  let polling = false;
+  pollTimer = setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      await pollCapturedChanges();
+    } catch (error) {
+      log.error('Poll failed', { error: error.message });
+    } finally {
+      polling = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  log.info('Polling change_log', { pollIntervalMs: POLL_INTERVAL_MS });
+};
+
+export const stopChangeCapture = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+// mysql2 returns JSON columns parsed, but older servers hand back strings
+const parseJsonColumn = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
@@ -0,0 +1,141 @@
+import { executeQuery, executeUpdate } from '../config/database.js';
+import { getKeyField } from './mappingRegistry.js';
+import { PROTECTED_FIELDS, assertTable, quoteIdentifier } from './schemaRegistry.js';
+import { SyncError } from './errors.js';
+
+/**
+ * Per-row change history
+ *
+ * Every change the sync engine applies is written to change_log with the
+ * before and after values of the fields it touched and the event's source.
+ * Direct DB edits land there through the capture triggers (source
+ * DB_CAPTURE). Engine rows are stored as processed, so the capture poller
+ * never picks them up.
+ *
+ * Reverting a change builds an event that restores the values it replaced.
+ * It is validated and then applied directly (syncEngine.applyRevert):
+ * locked and written back to the sheet like any edit, but never treated as
+ * a conflict - the user asked for exactly these values.
+ */
+
+// Engine-managed columns are not part of a record's history
+const toSnapshot = (record) =>
+  Object.fromEntries(
+    Object.entries(record).filter(([field]) => !PROTECTED_FIELDS.includes(field)),
+  );
+
+/**
+ * Record an applied change
+ * oldValue / newValue hold the touched fields (whole records for inserts
+ * and deletes); revertOf links a revert to the change it undid
+ */
+export const recordChange = async (
+  tableId,
+  rowId,
+  operation,
+  { oldValue = null, newValue = null, source, revertOf = null },
+) => {
+  await executeUpdate(
+    `INSERT INTO change_log
+     (table_name, row_id, operation, old_value, new_value, source, revert_of, processed)
+     VALUES (?, ?, ?, ?, ?, ?, ?, TRUE)`,
+    [
+      tableId,
+      rowId,
+      operation,
+      oldValue ? JSON.stringify(toSnapshot(oldValue)) : null,
+      newValue ? JSON.stringify(toSnapshot(newValue)) : null,
+      source,
+      revertOf,
+    ],
+  );
+};
+
+/**
+ * One history entry of a row, or a 404
+ */
+export const getChange = async (tableId, rowId, changeId) => {
+  const [change] = await executeQuery(
+    `SELECT * FROM change_log WHERE id = ? AND table_name = ? AND row_id = ?`,
+    [changeId, tableId, rowId],
+  );
+
+  if (!change) {
+    throw new SyncError(`Change ${changeId} not found for ${tableId} row ${rowId}`, 404);
+  }
+
+  return {
+    ...change,
+    old_value: parseJsonColumn(change.old_value),
+    new_value: parseJsonColumn(change.new_value),
+  };
+};
+
+/**
+ * Sync event that puts a row back the way it was before a change:
+ * an UPDATE restores the replaced values, an INSERT is deleted again and
+ * a DELETE re-inserts the record under its old key
+ */
+export const buildRevertEvent = async (tableId, rowId, changeId) => {
+  await assertTable(tableId);
+
+  const change = await getChange(tableId, rowId, changeId);
+  const event = {
+    source: 'DB',
+    rowId: change.row_id,
+    tableId,
+    timestamp: new Date().toISOString(),
+    metadata: { revertOf: change.id },
+  };
+
+  if (change.operation === 'INSERT') {
+    return { ...event, operation: 'DELETE', changes: {} };
+  }
+
+  if (change.operation === 'DELETE') {
+    const [existing] = await executeQuery(
+      `SELECT 1 FROM ${quoteIdentifier(tableId)} WHERE ${quoteIdentifier(getKeyField(tableId))} = ? LIMIT 1`,
+      [change.row_id],
+    );
+    if (existing) {
+      throw new SyncError(`${tableId} row ${change.row_id} exists again; nothing to restore`, 409);
+    }
+    return { ...event, operation: 'INSERT', changes: toSnapshot(change.old_value || {}) };
+  }
+
+  // Captured rows hold every mapped column - only revert the ones that moved
+  const oldValue = change.old_value || {};
+  const newValue = change.new_value || {};
+  const changes = Object.fromEntries(
+    Object.entries(oldValue).filter(
+      ([field, value]) =>
+        !PROTECTED_FIELDS.includes(field) &&
+        field !== getKeyField(tableId) &&
+        JSON.stringify(value) !== JSON.stringify(newValue[field]),
+    ),
+  );
+
+  if (Object.keys(changes).length === 0) {
+    throw new SyncError(`Change ${changeId} did not modify any fields`, 400);
+  }
+
+  return { ...event, operation: 'UPDATE', changes };
+};
+
+/**
+ * Which of the given keys belonged to records that were deleted
+ */
+export const getDeletedRowIds = async (tableId, rowIds) => {
+  if (rowIds.length === 0) return new Set();
+
+  const rows = await executeQuery(
+    `SELECT DISTINCT row_id FROM change_log
+     WHERE table_name = ? AND operation = 'DELETE' AND row_id IN (${rowIds.map(() => '?').join(', ')})`,
+    [tableId, ...rowIds.map(String)],
+  );
+  return new Set(rows.map((row) => String(row.row_id)));
+};
+
+// mysql2 returns JSON columns parsed, but older servers hand back strings
+const parseJsonColumn = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
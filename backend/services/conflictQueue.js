@@ -0,0 +1,154 @@
+import { executeQuery, executeUpdate } from '../config/database.js';
+import { applyUpdate, getRecord, withRecordLock } from './syncEngine.js';
+import { SyncError } from './errors.js';
+import { assertValidChanges } from './validation.js';
+import { STREAM_EVENTS, publish } from './eventBus.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('conflict');
+
+export const RESOLUTIONS = {
+  SHEET: 'sheet',
+  DB: 'db',
+  CUSTOM: 'custom',
+};
+
+/**
+ * Manual conflict queue - resolves conflicts held by the MANUAL strategy
+ */
+
+/**
+ * Resolve one pending conflict by keeping the sheet value, the DB value or
+ * a custom value, and apply the result through the normal update path
+ */
+export const resolvePendingConflict = async (conflictId, resolution, customValue) => {
+  if (!Object.values(RESOLUTIONS).includes(resolution)) {
+    throw new SyncError(
+      `Invalid resolution "${resolution}", expected one of: ${Object.values(RESOLUTIONS).join(', ')}`,
+      400,
+    );
+  }
+
+  const [conflict] = await executeQuery(
+    `SELECT * FROM sync_conflicts WHERE id = ? LIMIT 1`,
+    [conflictId],
+  );
+
+  if (!conflict) {
+    throw new SyncError(`Conflict ${conflictId} not found`, 404);
+  }
+
+  const value = await pickValue(conflict, resolution, customValue);
+
+  // The update and marking the conflict resolved commit together
+  const result = await withRecordLock(conflict.table_name, conflict.row_id, async () => {
+    const [locked] = await executeQuery(
+      `SELECT status FROM sync_conflicts WHERE id = ? FOR UPDATE`,
+      [conflictId],
+    );
+    if (locked.status !== 'PENDING') {
+      throw new SyncError(`Conflict ${conflictId} is already resolved`, 409);
+    }
+
+    const currentRecord = await getRecord(conflict.table_name, conflict.row_id, {
+      forUpdate: true,
+    });
+    if (!currentRecord) {
+      throw new SyncError(
+        `Record ${conflict.row_id} no longer exists in ${conflict.table_name}`,
+        409,
+      );
+    }
+
+    const applied = await applyUpdate(conflict.table_name, currentRecord, {
+      source: 'MANUAL',
+      operation: 'UPDATE',
+      timestamp: new Date().toISOString(),
+      changes: { [conflict.field_name]: value },
+    });
+
+    await executeUpdate(
+      `UPDATE sync_conflicts
+       SET status = 'RESOLVED', resolved_value = ?, resolved_at = NOW()
+       WHERE id = ?`,
+      [JSON.stringify(value), conflictId],
+    );
+    publish(STREAM_EVENTS.CONFLICT, {
+      tableId: conflict.table_name,
+      rowId: conflict.row_id,
+      conflictIds: [Number(conflictId)],
+      status: 'RESOLVED',
+    });
+
+    return applied;
+  });
+
+  log.info('Resolved conflict', {
+    conflictId,
+    resolution,
+    tableId: conflict.table_name,
+    rowId: conflict.row_id,
+  });
+
+  return {
+    conflictId: Number(conflictId),
+    resolution,
+    field: conflict.field_name,
+    value,
+    result,
+  };
+};
+
+/**
+ * Resolve several pending conflicts with the same resolution
+ * Failures are reported per conflict instead of aborting the batch
+ */
+export const resolvePendingConflicts = async (conflictIds, resolution, customValue) => {
+  const results = [];
+
+  for (const conflictId of conflictIds) {
+    try {
+      results.push({
+        status: 'success',
+        ...(await resolvePendingConflict(conflictId, resolution, customValue)),
+      });
+    } catch (error) {
+      results.push({
+        status: 'error',
+        conflictId: Number(conflictId),
+        message: error.message,
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Pending conflict ids, oldest first
+ */
+export const getPendingConflictIds = async () => {
+  const rows = await executeQuery(
+    `SELECT id FROM sync_conflicts WHERE status = 'PENDING' ORDER BY created_at ASC`,
+  );
+  return rows.map((row) => row.id);
+};
+
+const pickValue = async (conflict, resolution, customValue) => {
+  if (resolution === RESOLUTIONS.CUSTOM) {
+    if (customValue === undefined) {
+      throw new SyncError('A custom resolution requires a value', 400);
+    }
+    // Typed in by hand - coerced and checked like any incoming edit
+    const values = await assertValidChanges(
+      conflict.table_name,
+      { [conflict.field_name]: customValue },
+      { rowId: conflict.row_id },
+    );
+    return values[conflict.field_name];
+  }
+
+  const stored =
+    resolution === RESOLUTIONS.SHEET ? conflict.sheet_value : conflict.db_value;
+  return stored === null ? null : JSON.parse(stored);
+};
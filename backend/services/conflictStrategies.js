@@ -0,0 +1,121 @@
+import { getMappings, getMappingForTable } from './mappingRegistry.js';
+
+export const CONFLICT_STRATEGIES = {
+  LAST_WRITE_WINS: 'last_write_wins',
+  SOURCE_PRIORITY: 'source_priority',
+  MANUAL: 'manual',
+  CUSTOM: 'custom',
+};
+
+const DEFAULT_SOURCE_PRIORITY = ['MANUAL', 'DB', 'SHEET'];
+
+const customResolvers = new Map();
+
+/**
+ * Conflict strategy configuration
+ *
+ * The strategy for a field is looked up in its table's mapping entry
+ * (config/mappings.json), falling back to the table default and then to
+ * SYNC_CONFLICT_STRATEGY. Strategies only see real concurrent edits (see
+ * detectConflict in syncEngine.js), never an ordinary edit of a field.
+ * There is no version-based strategy: stale versions are dropped and a
+ * current one applies before any strategy runs:
+ * {
+ *   "conflicts": {
+ *     "default": "last_write_wins",
+ *     "fields": {
+ *       "salary": { "strategy": "source_priority", "priority": ["DB", "SHEET"] },
+ *       "name": { "strategy": "custom", "resolver": "keepNonEmpty" }
+ *     }
+ *   }
+ * }
+ */
+
+/**
+ * Register a custom resolver usable as { strategy: 'custom', resolver: name }
+ * The resolver receives (conflict, context) and returns the value to keep
+ */
+export const registerConflictResolver = (name, resolver) => {
+  if (typeof resolver !== 'function') {
+    throw new Error(`Conflict resolver "${name}" must be a function`);
+  }
+  customResolvers.set(name, resolver);
+};
+
+export const getDefaultStrategy = () =>
+  process.env.SYNC_CONFLICT_STRATEGY || CONFLICT_STRATEGIES.LAST_WRITE_WINS;
+
+/**
+ * Strategy config ({ strategy, ...options }) for a table field
+ */
+export const getFieldStrategy = (tableId, field) => {
+  const conflicts = getMappingForTable(tableId)?.conflicts || {};
+  const fieldConfig = conflicts.fields?.[field];
+
+  if (typeof fieldConfig === 'string') {
+    return { strategy: fieldConfig };
+  }
+  if (fieldConfig) {
+    return fieldConfig;
+  }
+
+  return { strategy: conflicts.default || getDefaultStrategy() };
+};
+
+/**
+ * Pick the value to keep for a single conflicting field
+ * MANUAL is not resolved here - the engine holds those conflicts instead
+ */
+export const resolveFieldConflict = (config, conflict, context) => {
+  const { event, currentRecord } = context;
+
+  switch (config.strategy) {
+    case CONFLICT_STRATEGIES.LAST_WRITE_WINS:
+      // Incoming wins if timestamp is newer
+      return event.timestamp &&
+        new Date(event.timestamp) > new Date(currentRecord.updated_at)
+        ? conflict.incomingValue
+        : conflict.currentValue;
+
+    case CONFLICT_STRATEGIES.SOURCE_PRIORITY: {
+      // Lower index = higher priority; unknown sources rank last
+      const priority = config.priority || DEFAULT_SOURCE_PRIORITY;
+      const rank = (source) => {
+        const index = priority.indexOf(source);
+        return index === -1 ? priority.length : index;
+      };
+      return rank(event.source) <= rank(currentRecord.source)
+        ? conflict.incomingValue
+        : conflict.currentValue;
+    }
+
+    case CONFLICT_STRATEGIES.CUSTOM: {
+      const resolver = customResolvers.get(config.resolver);
+      if (!resolver) {
+        throw new Error(`Conflict resolver "${config.resolver}" is not registered`);
+      }
+      return resolver(conflict, context);
+    }
+
+    default:
+      throw new Error(`Unknown conflict strategy "${config.strategy}"`);
+  }
+};
+
+/**
+ * Active configuration, as reported by GET /sync/strategies
+ */
+export const getStrategyConfiguration = () => ({
+  default: getDefaultStrategy(),
+  available: Object.values(CONFLICT_STRATEGIES),
+  customResolvers: [...customResolvers.keys()],
+  tables: getMappings().map((mapping) => ({
+    table: mapping.table,
+    default: mapping.conflicts?.default || getDefaultStrategy(),
+    fields: Object.fromEntries(
+      mapping.columns
+        .filter((column) => column.field !== mapping.keyField)
+        .map((column) => [column.field, getFieldStrategy(mapping.table, column.field)]),
+    ),
+  })),
+});
@@ -0,0 +1,27 @@
+/**
+ * Error carrying the HTTP status the routes should answer with
+ */
+export class SyncError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = 'SyncError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * A record changed between being read and written (optimistic lock miss).
+ * Retried by the sync engine, and by the queue if those retries run out.
+ */
+export class VersionConflictError extends SyncError {
+  constructor(tableId, rowId, expectedVersion) {
+    super(
+      `${tableId} row ${rowId} is no longer at version ${expectedVersion}`,
+      409,
+      { tableId, rowId, expectedVersion },
+    );
+    this.name = 'VersionConflictError';
+    this.retryable = true;
+  }
+}
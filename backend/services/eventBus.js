@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+import { afterCommit } from '../config/database.js';
+
+export const STREAM_EVENTS = {
+  ROW: 'row',
+  AUDIT: 'audit',
+  CONFLICT: 'conflict',
+  STATUS: 'status',
+};
+
+/**
+ * In-process event bus feeding the dashboard stream (GET /sync/stream)
+ *
+ * The sync engine publishes row changes, audit entries and conflicts as it
+ * produces them. Messages published inside a transaction are only delivered
+ * once it commits, so the dashboard never sees a change that was rolled back.
+ */
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+let nextId = 1;
+
+export const publish = (type, data) => {
+  afterCommit(() => {
+    bus.emit('message', { id: nextId++, type, data });
+  });
+};
+
+/**
+ * Listen to every published message, returns the unsubscribe function
+ */
+export const subscribe = (listener) => {
+  bus.on('message', listener);
+  return () => bus.off('message', listener);
+};
+
+export const getSubscriberCount = () => bus.listenerCount('message');
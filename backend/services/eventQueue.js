@@ -0,0 +1,351 @@
+import { executeQuery, executeUpdate } from '../config/database.js';
+import { processSyncEvent, logWebhookAudit } from './syncEngine.js';
+import { SyncError } from './errors.js';
+import {
+  claimIdempotencyKey,
+  attachQueueItem,
+  releaseIdempotencyKey,
+} from './idempotency.js';
+import { createLogger, getCorrelationId, newCorrelationId, withCorrelationId } from './logger.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.QUEUE_RETRY_BASE_MS || '1000', 10);
+const RETRY_MAX_MS = parseInt(process.env.QUEUE_RETRY_MAX_MS || '300000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '1000', 10);
+const BATCH_SIZE = parseInt(process.env.QUEUE_BATCH_SIZE || '20', 10);
+const LEASE_MS = parseInt(process.env.QUEUE_LEASE_MS || '300000', 10);
+
+const log = createLogger('queue');
+
+export const QUEUE_STATUS = {
+  PENDING: 'PENDING',
+  PROCESSING: 'PROCESSING',
+  DONE: 'DONE',
+  DEAD: 'DEAD',
+};
+
+/**
+ * Durable inbound event queue
+ *
+ * Webhook routes persist every parsed event in sync_queue before answering.
+ * The route then processes it straight away; if that fails the event stays
+ * queued and the worker retries it with exponential backoff until it either
+ * succeeds or runs out of attempts and is dead-lettered.
+ *
+ * The event keeps the correlation id of the request that delivered it, and
+ * every attempt runs under that id.
+ *
+ * A claimed item is PROCESSING with a claimed_at timestamp. If its status
+ * cannot be updated afterwards it is handed back as PENDING; if even that
+ * fails (or the process dies), the worker reclaims it once the claim is
+ * older than QUEUE_LEASE_MS. Running an applied event again is harmless for
+ * updates: the engine ignores it as stale or as a repeat of its own write.
+ */
+
+/**
+ * Persist an event, returning its queue id
+ */
+export const enqueueEvent = async (event, payload) => {
+  const result = await executeUpdate(
+    `INSERT INTO sync_queue (source, table_name, event, payload) VALUES (?, ?, ?, ?)`,
+    [event.source, event.tableId, JSON.stringify(event), JSON.stringify(payload)],
+  );
+  return result.insertId;
+};
+
+/**
+ * Accept an inbound event: queue it and process it straight away, unless
+ * its idempotency key has been seen before, in which case the earlier
+ * delivery's outcome is returned and nothing is run again
+ * Returns the processQueueItem outcome plus { queueId, duplicate }
+ */
+export const submitEvent = async (incomingEvent, payload) => {
+  const event = {
+    ...incomingEvent,
+    correlationId: incomingEvent.correlationId ?? getCorrelationId() ?? newCorrelationId(),
+  };
+  const key = event.idempotencyKey;
+  const previous = await claimIdempotencyKey(key, event.source);
+
+  if (previous) {
+    log.info('Duplicate delivery', { idempotencyKey: key, queueId: previous.queueId });
+    await logWebhookAudit(payload, 'DUPLICATE', null, event);
+    return { ...previousOutcome(previous), queueId: previous.queueId, duplicate: true };
+  }
+
+  let queueId;
+  try {
+    queueId = await enqueueEvent(event, payload);
+  } catch (error) {
+    await releaseIdempotencyKey(key);
+    throw error;
+  }
+  await attachQueueItem(key, queueId);
+
+  const outcome = await processQueueItem(queueId);
+  return { ...outcome, queueId, duplicate: false };
+};
+
+const previousOutcome = (previous) => {
+  switch (previous.status) {
+    case QUEUE_STATUS.DONE:
+      return { status: 'done', result: previous.result };
+    case QUEUE_STATUS.DEAD:
+      return { status: 'dead', error: new Error(previous.lastError) };
+    default:
+      // Still queued, or the first delivery is being processed right now
+      return { status: 'skipped' };
+  }
+};
+
+/**
+ * Claim and process one queued event
+ * Returns { status: 'done', result } or { status: 'retry' | 'dead', error }
+ */
+export const processQueueItem = async (queueId) => {
+  // Claim the item so the worker and a route never process it twice
+  const claim = await executeUpdate(
+    `UPDATE sync_queue SET status = ?, claimed_at = NOW() WHERE id = ? AND status = ?`,
+    [QUEUE_STATUS.PROCESSING, queueId, QUEUE_STATUS.PENDING],
+  );
+
+  if (claim.affectedRows === 0) {
+    return { status: 'skipped' };
+  }
+
+  const [item] = await executeQuery(`SELECT * FROM sync_queue WHERE id = ?`, [queueId]);
+  const event = parseJsonColumn(item.event);
+  const payload = parseJsonColumn(item.payload);
+
+  return await withCorrelationId(event.correlationId, async () => {
+    let result;
+    try {
+      result = await processSyncEvent(event);
+    } catch (error) {
+      return await withStatusTransition(queueId, () =>
+        scheduleRetry(item, event, payload, error),
+      );
+    }
+
+    return await withStatusTransition(queueId, async () => {
+      await executeUpdate(
+        `UPDATE sync_queue
+         SET status = ?, attempts = attempts + 1, result = ?, last_error = NULL, processed_at = NOW()
+         WHERE id = ?`,
+        [QUEUE_STATUS.DONE, JSON.stringify(result), queueId],
+      );
+      await auditOutcome(payload, 'PROCESSED', null, event);
+
+      return { status: 'done', result };
+    });
+  });
+};
+
+/**
+ * Run the status update that ends a claim; if it fails, hand the item back
+ * as PENDING so it is not stuck in PROCESSING
+ */
+const withStatusTransition = async (queueId, transition) => {
+  try {
+    return await transition();
+  } catch (error) {
+    log.error('Queue status update failed, releasing item', { queueId, error: error.message });
+    await executeUpdate(
+      `UPDATE sync_queue SET status = ?, claimed_at = NULL WHERE id = ? AND status = ?`,
+      [QUEUE_STATUS.PENDING, queueId, QUEUE_STATUS.PROCESSING],
+    ).catch((releaseError) => {
+      // The lease runs out and the worker reclaims it
+      log.error('Could not release queue item', { queueId, error: releaseError.message });
+    });
+    return { status: 'retry', error };
+  }
+};
+
+// The item's status is already final - a failed audit row must not send it
+// round again
+const auditOutcome = async (payload, status, error, event) => {
+  try {
+    await logWebhookAudit(payload, status, error, event);
+  } catch (auditError) {
+    log.error('Failed to audit queue outcome', { status, error: auditError.message });
+  }
+};
+
+/**
+ * Back off, or dead-letter once the item has used all its attempts or the
+ * error is not worth retrying
+ */
+const scheduleRetry = async (item, event, payload, error) => {
+  const attempts = item.attempts + 1;
+
+  // Client errors (unknown table, invalid field, ...) will fail every time,
+  // unless the error says otherwise (version conflicts)
+  const retryable =
+    error.retryable ?? !(error.statusCode >= 400 && error.statusCode < 500);
+
+  if (attempts >= MAX_ATTEMPTS || !retryable) {
+    await executeUpdate(
+      `UPDATE sync_queue SET status = ?, attempts = ?, last_error = ? WHERE id = ?`,
+      [QUEUE_STATUS.DEAD, attempts, error.message, item.id],
+    );
+    await auditOutcome(payload, 'DEAD_LETTER', error, event);
+
+    log.error('Event dead-lettered', { queueId: item.id, attempts, error: error.message });
+    return { status: 'dead', error };
+  }
+
+  const delayMs = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+  await executeUpdate(
+    `UPDATE sync_queue
+     SET status = ?, attempts = ?, last_error = ?,
+         next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE id = ?`,
+    [QUEUE_STATUS.PENDING, attempts, error.message, Math.ceil(delayMs / 1000), item.id],
+  );
+  await auditOutcome(payload, 'ERROR', error, event);
+
+  log.warn('Event failed, retrying', {
+    queueId: item.id,
+    attempts,
+    maxAttempts: MAX_ATTEMPTS,
+    delayMs,
+    error: error.message,
+  });
+  return { status: 'retry', error };
+};
+
+/**
+ * Put items back whose claim outlived the lease - their processing died
+ * without updating the status
+ */
+const reclaimExpired = async () => {
+  const reclaimed = await executeUpdate(
+    `UPDATE sync_queue SET status = ?, claimed_at = NULL
+     WHERE status = ? AND claimed_at < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [QUEUE_STATUS.PENDING, QUEUE_STATUS.PROCESSING, Math.ceil(LEASE_MS / 1000)],
+  );
+  if (reclaimed.affectedRows > 0) {
+    log.warn('Reclaimed expired queue items', { count: reclaimed.affectedRows, leaseMs: LEASE_MS });
+  }
+};
+
+/**
+ * Process every event that is due for a (re)try
+ */
+export const drainQueue = async () => {
+  await reclaimExpired();
+
+  const due = await executeQuery(
+    `SELECT id FROM sync_queue
+     WHERE status = ? AND next_attempt_at <= NOW()
+     ORDER BY id ASC LIMIT ${BATCH_SIZE}`,
+    [QUEUE_STATUS.PENDING],
+  );
+
+  for (const { id } of due) {
+    await processQueueItem(id);
+  }
+
+  return due.length;
+};
+
+let workerTimer = null;
+
+/**
+ * Start the background worker
+ * Items left PROCESSING by a crashed process are put back first
+ */
+export const startQueueWorker = async () => {
+  try {
+    const recovered = await executeUpdate(
+      `UPDATE sync_queue SET status = ?, claimed_at = NULL WHERE status = ?`,
+      [QUEUE_STATUS.PENDING, QUEUE_STATUS.PROCESSING],
+    );
+    if (recovered.affectedRows > 0) {
+      log.info('Recovered interrupted events', { count: recovered.affectedRows });
+    }
+  } catch (error) {
+    log.error('Could not recover interrupted events', { error: error.message });
+  }
+
+  let draining = false;
+  workerTimer = setInterval(async () => {
+    if (draining) return;
+    draining = true;
+    try {
+      await drainQueue();
+    } catch (error) {
+      log.error('Worker error', { error: error.message });
+    } finally {
+      draining = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  log.info('Worker started', { pollIntervalMs: POLL_INTERVAL_MS });
+};
+
+export const stopQueueWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * Queue depth per status and age of the oldest waiting event
+ */
+export const getQueueStats = async () => {
+  const rows = await executeQuery(
+    `SELECT status, COUNT(*) as count FROM sync_queue GROUP BY status`,
+  );
+  const [oldest] = await executeQuery(
+    `SELECT TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) as age
+     FROM sync_queue WHERE status IN (?, ?)`,
+    [QUEUE_STATUS.PENDING, QUEUE_STATUS.PROCESSING],
+  );
+
+  const counts = Object.fromEntries(
+    Object.values(QUEUE_STATUS).map((status) => [status.toLowerCase(), 0]),
+  );
+  for (const row of rows) {
+    counts[row.status.toLowerCase()] = row.count;
+  }
+
+  return {
+    ...counts,
+    depth: counts.pending + counts.processing,
+    oldestPendingSeconds: oldest.age,
+    maxAttempts: MAX_ATTEMPTS,
+  };
+};
+
+/**
+ * Dead-lettered events, newest first
+ */
+export const getDeadLetters = async () => {
+  return await executeQuery(
+    `SELECT * FROM sync_queue WHERE status = ? ORDER BY id DESC LIMIT 50`,
+    [QUEUE_STATUS.DEAD],
+  );
+};
+
+/**
+ * Give a dead-lettered event a fresh set of attempts
+ */
+export const retryDeadLetter = async (queueId) => {
+  const result = await executeUpdate(
+    `UPDATE sync_queue
+     SET status = ?, attempts = 0, next_attempt_at = NOW()
+     WHERE id = ? AND status = ?`,
+    [QUEUE_STATUS.PENDING, queueId, QUEUE_STATUS.DEAD],
+  );
+
+  if (result.affectedRows === 0) {
+    throw new SyncError(`Queue item ${queueId} is not dead-lettered`, 404);
+  }
+
+  return await processQueueItem(queueId);
+};
+
+// mysql2 returns JSON columns parsed, but older servers hand back strings
+const parseJsonColumn = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
@@ -0,0 +1,180 @@
+import { executeQuery } from '../config/database.js';
+import { getQueueStats } from './eventQueue.js';
+
+const DB_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS || '2000', 10);
+const QUEUE_LAG_DEGRADED_S = parseInt(process.env.HEALTH_QUEUE_LAG_DEGRADED_S || '30', 10);
+const QUEUE_LAG_FAILING_S = parseInt(process.env.HEALTH_QUEUE_LAG_FAILING_S || '300', 10);
+const ERROR_WINDOW_S = parseInt(process.env.HEALTH_ERROR_WINDOW_S || '300', 10);
+const ERROR_RATE_DEGRADED = parseFloat(process.env.HEALTH_ERROR_RATE_DEGRADED || '0.05');
+const ERROR_RATE_FAILING = parseFloat(process.env.HEALTH_ERROR_RATE_FAILING || '0.25');
+// Optional - a quiet sheet is not necessarily a broken one
+const WEBHOOK_STALE_S = process.env.HEALTH_WEBHOOK_STALE_S
+  ? parseInt(process.env.HEALTH_WEBHOOK_STALE_S, 10)
+  : null;
+
+export const HEALTH = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  FAILING: 'failing',
+};
+
+const SEVERITY = [HEALTH.OK, HEALTH.DEGRADED, HEALTH.FAILING];
+
+/**
+ * Dependency health checks (GET /health/ready)
+ *
+ * Every check reports ok, degraded or failing plus the values it judged;
+ * the overall status is the worst of them. A check that cannot run because
+ * MySQL is down reports failing with the error instead of throwing.
+ */
+
+const startedAt = Date.now();
+const lastWebhookAt = { SHEET: null, DB: null };
+let webhooksSeeded = false;
+
+/**
+ * Note an inbound webhook (called by the webhook routes as requests arrive)
+ */
+export const recordWebhookReceived = (source) => {
+  lastWebhookAt[source] = new Date();
+};
+
+const withTimeout = (promise, ms, message) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms).unref()),
+  ]);
+
+const worst = (statuses) =>
+  statuses.reduce((a, b) => (SEVERITY.indexOf(b) > SEVERITY.indexOf(a) ? b : a), HEALTH.OK);
+
+const checkDatabase = async () => {
+  const started = Date.now();
+  try {
+    await withTimeout(
+      executeQuery('SELECT 1'),
+      DB_TIMEOUT_MS,
+      `No answer from MySQL within ${DB_TIMEOUT_MS}ms`,
+    );
+    return { status: HEALTH.OK, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: HEALTH.FAILING, latencyMs: Date.now() - started, error: error.message };
+  }
+};
+
+const checkQueue = async () => {
+  try {
+    const queue = await getQueueStats();
+    const lagSeconds = queue.oldestPendingSeconds ?? 0;
+
+    let status = HEALTH.OK;
+    if (lagSeconds >= QUEUE_LAG_FAILING_S) status = HEALTH.FAILING;
+    else if (lagSeconds >= QUEUE_LAG_DEGRADED_S || queue.dead > 0) status = HEALTH.DEGRADED;
+
+    return { status, depth: queue.depth, lagSeconds, deadLetters: queue.dead };
+  } catch (error) {
+    return { status: HEALTH.FAILING, error: error.message };
+  }
+};
+
+const checkWebhooks = async () => {
+  // After a restart, pick up where the audit log left off
+  if (!webhooksSeeded) {
+    try {
+      const rows = await executeQuery(
+        `SELECT source, MAX(created_at) AS at FROM webhook_audit
+         WHERE source IN ('SHEET', 'DB') AND status = 'RECEIVED'
+         GROUP BY source`,
+      );
+      for (const row of rows) {
+        lastWebhookAt[row.source] ??= new Date(row.at);
+      }
+      webhooksSeeded = true;
+    } catch {
+      // Reported by the database check
+    }
+  }
+
+  const describe = (at) => {
+    const ageSeconds = at ? Math.round((Date.now() - at.getTime()) / 1000) : null;
+    const stale = WEBHOOK_STALE_S !== null && (ageSeconds === null || ageSeconds > WEBHOOK_STALE_S);
+    return {
+      status: stale ? HEALTH.DEGRADED : HEALTH.OK,
+      lastAt: at ? at.toISOString() : null,
+      ageSeconds,
+    };
+  };
+
+  const sheet = describe(lastWebhookAt.SHEET);
+  const db = describe(lastWebhookAt.DB);
+
+  return { status: worst([sheet.status, db.status]), sheet, db };
+};
+
+const checkErrorRate = async () => {
+  try {
+    const rows = await executeQuery(
+      `SELECT status, COUNT(*) AS count FROM webhook_audit
+       WHERE created_at >= NOW() - INTERVAL ? SECOND
+         AND status IN ('PROCESSED', 'ERROR', 'DEAD_LETTER', 'REJECTED', 'UNAUTHORIZED')
+       GROUP BY status`,
+      [ERROR_WINDOW_S],
+    );
+    const counts = Object.fromEntries(rows.map((row) => [row.status, row.count]));
+    const processed = counts.PROCESSED || 0;
+    const errors = (counts.ERROR || 0) + (counts.DEAD_LETTER || 0);
+    // Rejected and unauthorized events are the sender's fault and do not
+    // count as errors
+    const rate = processed + errors > 0 ? errors / (processed + errors) : 0;
+
+    let status = HEALTH.OK;
+    if (rate >= ERROR_RATE_FAILING) status = HEALTH.FAILING;
+    else if (rate >= ERROR_RATE_DEGRADED) status = HEALTH.DEGRADED;
+
+    return {
+      status,
+      windowSeconds: ERROR_WINDOW_S,
+      processed,
+      errors,
+      rejected: counts.REJECTED || 0,
+      unauthorized: counts.UNAUTHORIZED || 0,
+      rate: Math.round(rate * 1000) / 1000,
+    };
+  } catch (error) {
+    return { status: HEALTH.FAILING, windowSeconds: ERROR_WINDOW_S, error: error.message };
+  }
+};
+
+/**
+ * The process is up and serving requests
+ */
+export const getLiveness = () => ({
+  status: HEALTH.OK,
+  uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Run every dependency check
+ */
+export const getReadiness = async () => {
+  const database = await checkDatabase();
+
+  // Skip the queries that would only time out again
+  const [queue, webhooks, errorRate] =
+    database.status === HEALTH.FAILING
+      ? [
+          { status: HEALTH.FAILING, error: 'Database unavailable' },
+          await checkWebhooks(),
+          { status: HEALTH.FAILING, windowSeconds: ERROR_WINDOW_S, error: 'Database unavailable' },
+        ]
+      : await Promise.all([checkQueue(), checkWebhooks(), checkErrorRate()]);
+
+  const checks = { database, queue, webhooks, errorRate };
+
+  return {
+    ...getLiveness(),
+    status: worst(Object.values(checks).map((check) => check.status)),
+    checks,
+  };
+};
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { executeQuery, executeUpdate } from '../config/database.js';
+import { SyncError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('idempotency');
+
+const TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+const PURGE_INTERVAL_MS = parseInt(
+  process.env.IDEMPOTENCY_PURGE_INTERVAL_MS || '3600000',
+  10,
+);
+const MAX_KEY_LENGTH = 191;
+
+/**
+ * Idempotency keys - every inbound event carries one
+ *
+ * The first delivery of a key claims it in sync_idempotency_keys and points
+ * it at the queue item it created. Later deliveries of the same key get that
+ * item's outcome back instead of being queued and processed again. Keys
+ * expire after IDEMPOTENCY_TTL_HOURS, so the TTL has to outlast any sender's
+ * retry window.
+ */
+
+/**
+ * Check a key supplied by the sender, returning null when there is none
+ */
+export const normalizeIdempotencyKey = (key) => {
+  if (key === undefined || key === null || key === '') return null;
+
+  if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+    throw new SyncError(
+      `idempotencyKey must be a string of at most ${MAX_KEY_LENGTH} characters`,
+      400,
+    );
+  }
+
+  return key;
+};
+
+/**
+ * Key for a sender that did not supply one, derived from the fields that
+ * identify the change. Identical payloads share a key, so senders that may
+ * legitimately repeat a change should send their own key (or a timestamp).
+ */
+export const deriveIdempotencyKey = (source, fields) => {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(fields))
+    .digest('hex');
+  return `${source.toLowerCase()}:${hash}`;
+};
+
+/**
+ * Claim a key for a new delivery
+ * Returns null when the key is new, or the earlier delivery when it has
+ * already been seen: { queueId, status, result, lastError }
+ */
+export const claimIdempotencyKey = async (key, source) => {
+  // An expired key that has not been purged yet counts as new
+  await executeUpdate(
+    `DELETE FROM sync_idempotency_keys WHERE idempotency_key = ? AND expires_at <= NOW()`,
+    [key],
+  );
+
+  const claim = await executeUpdate(
+    `INSERT IGNORE INTO sync_idempotency_keys (idempotency_key, source, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [key, source, Math.round(TTL_HOURS * 3600)],
+  );
+
+  if (claim.affectedRows === 1) {
+    return null;
+  }
+
+  const [previous] = await executeQuery(
+    `SELECT k.queue_id, q.status, q.result, q.last_error
+     FROM sync_idempotency_keys k
+     LEFT JOIN sync_queue q ON q.id = k.queue_id
+     WHERE k.idempotency_key = ?`,
+    [key],
+  );
+
+  return {
+    queueId: previous.queue_id,
+    status: previous.status,
+    result: parseJsonColumn(previous.result),
+    lastError: previous.last_error,
+  };
+};
+
+/**
+ * Point a claimed key at the queue item its delivery created
+ */
+export const attachQueueItem = async (key, queueId) => {
+  await executeUpdate(
+    `UPDATE sync_idempotency_keys SET queue_id = ? WHERE idempotency_key = ?`,
+    [queueId, key],
+  );
+};
+
+/**
+ * Give up a claim whose event never made it into the queue, so the
+ * sender's retry is not mistaken for a duplicate
+ */
+export const releaseIdempotencyKey = async (key) => {
+  await executeUpdate(
+    `DELETE FROM sync_idempotency_keys WHERE idempotency_key = ? AND queue_id IS NULL`,
+    [key],
+  );
+};
+
+/**
+ * Drop expired keys
+ */
+export const purgeExpiredKeys = async () => {
+  const result = await executeUpdate(
+    `DELETE FROM sync_idempotency_keys WHERE expires_at <= NOW()`,
+  );
+
+  if (result.affectedRows > 0) {
+    log.info('Purged expired keys', { count: result.affectedRows });
+  }
+  return result.affectedRows;
+};
+
+let purgeTimer = null;
+
+/**
+ * Purge expired keys every IDEMPOTENCY_PURGE_INTERVAL_MS
+ */
+export const startIdempotencyPurge = () => {
+  purgeTimer = setInterval(async () => {
+    try {
+      await purgeExpiredKeys();
+    } catch (error) {
+      log.error('Purge failed', { error: error.message });
+    }
+  }, PURGE_INTERVAL_MS);
+
+  log.info('Purge started', { ttlHours: TTL_HOURS, purgeIntervalMs: PURGE_INTERVAL_MS });
+};
+
+export const stopIdempotencyPurge = () => {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+};
+
+// mysql2 returns JSON columns parsed, but older servers hand back strings
+const parseJsonColumn = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
@@ -0,0 +1,81 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { isPlanning } from './plan.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+/**
+ * Structured logging
+ *
+ * Every line is one JSON object: time, level, scope (the old [TAG] prefix),
+ * msg, the correlation id of the work being done and any extra fields.
+ *
+ * A correlation id is assigned per request (middleware/correlationId.js),
+ * stored on the queued event and re-entered when the worker retries it, so
+ * the RECEIVED, PROCESSED and conflict rows of one delivery share it.
+ */
+
+// Correlation id of the current async call chain
+const correlationContext = new AsyncLocalStorage();
+
+export const newCorrelationId = () => randomUUID();
+
+export const getCorrelationId = () => correlationContext.getStore() ?? null;
+
+/**
+ * Run a callback under a correlation id (a new one when none is given)
+ */
+export const withCorrelationId = (correlationId, callback) =>
+  correlationContext.run(correlationId || newCorrelationId(), callback);
+
+const serializeError = (error) => ({
+  message: error.message,
+  name: error.name,
+  ...(error.statusCode && { statusCode: error.statusCode }),
+  ...(error.details && { details: error.details }),
+  ...(error.stack && { stack: error.stack }),
+});
+
+const serializeFields = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      value instanceof Error ? serializeError(value) : value,
+    ]),
+  );
+
+const write = (level, scope, msg, fields) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  let line;
+  try {
+    line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      scope,
+      msg,
+      correlationId: getCorrelationId() ?? undefined,
+      // Lines written while planning describe writes that never happened
+      plan: isPlanning() || undefined,
+      ...serializeFields(fields),
+    });
+  } catch {
+    // Circular or otherwise unserializable fields
+    line = JSON.stringify({ time: new Date().toISOString(), level, scope, msg });
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Logger for one part of the backend, e.g. createLogger('sync')
+ * log.info('Applied update', { tableId, rowId })
+ * log.error('Processing failed', { error })
+ */
+export const createLogger = (scope) => ({
+  debug: (msg, fields = {}) => write('debug', scope, msg, fields),
+  info: (msg, fields = {}) => write('info', scope, msg, fields),
+  warn: (msg, fields = {}) => write('warn', scope, msg, fields),
+  error: (msg, fields = {}) => write('error', scope, msg, fields),
+});
@@ -0,0 +1,113 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('mappings');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_MAPPINGS_FILE = resolve(__dirname, '../config/mappings.json');
+
+let mappings = [];
+
+/**
+ * Sheet ↔ table mapping registry
+ *
+ * Mappings are loaded from a JSON config file (SYNC_MAPPINGS_FILE, defaults to
+ * config/mappings.json) so a new synced sheet only needs a config entry:
+ * {
+ *   sheetName: string,       // tab name in the spreadsheet
+ *   table: string,           // MySQL table the sheet syncs with
+ *   keyField: string,        // primary key field of the table
+ *   headerRow: number,       // rows up to and including this one are ignored
+ *   columns: [{ column: number, field: string, label?: string, type?: string,
+ *               rules?: { required, min, max, minLength, maxLength, pattern, enum, integer } }],
+ *   conflicts?: { default?: string, fields?: { [field]: strategy config } }
+ * }
+ */
+export const loadMappings = (
+  filePath = process.env.SYNC_MAPPINGS_FILE || DEFAULT_MAPPINGS_FILE,
+) => {
+  const config = JSON.parse(readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(config.sheets)) {
+    throw new Error(`Invalid mapping config ${filePath}: "sheets" must be an array`);
+  }
+
+  mappings = config.sheets.map(normalizeMapping);
+
+  log.info('Loaded sheet mappings', { count: mappings.length, filePath });
+
+  return mappings;
+};
+
+/**
+ * Validate a single mapping entry and fill in defaults
+ */
+const normalizeMapping = (entry) => {
+  const { sheetName, table, columns } = entry;
+
+  if (!sheetName || !table || !Array.isArray(columns) || columns.length === 0) {
+    throw new Error(
+      `Invalid mapping for sheet "${sheetName}": sheetName, table and columns are required`,
+    );
+  }
+
+  const keyField = entry.keyField || 'id';
+
+  if (!columns.some((col) => col.field === keyField)) {
+    throw new Error(
+      `Invalid mapping for sheet "${sheetName}": key field "${keyField}" is not mapped to a column`,
+    );
+  }
+
+  return {
+    sheetName,
+    table,
+    keyField,
+    headerRow: entry.headerRow ?? 1,
+    conflicts: entry.conflicts || {},
+    columns: columns.map((col) => ({
+      column: Number(col.column),
+      field: col.field,
+      label: col.label || col.field,
+      type: col.type || 'text',
+      rules: col.rules || {},
+    })),
+  };
+};
+
+export const getMappings = () => mappings;
+
+export const getMappingForSheet = (sheetName) =>
+  mappings.find((mapping) => mapping.sheetName === sheetName) || null;
+
+export const getMappingForTable = (tableId) =>
+  mappings.find((mapping) => mapping.table === tableId) || null;
+
+/**
+ * Resolve a 1-based sheet column number to its mapped field
+ */
+export const getFieldForColumn = (mapping, column) => {
+  const entry = mapping.columns.find((col) => col.column === Number(column));
+  return entry ? entry.field : null;
+};
+
+/**
+ * Resolve a field to its 1-based sheet column number
+ */
+export const getColumnForField = (mapping, field) => {
+  const entry = mapping.columns.find((col) => col.field === field);
+  return entry ? entry.column : null;
+};
+
+/**
+ * Primary key field for a table, falling back to `id` for unmapped tables
+ */
+export const getKeyField = (tableId) => {
+  const mapping = getMappingForTable(tableId);
+  return mapping ? mapping.keyField : 'id';
+};
+
+loadMappings();
@@ -0,0 +1,220 @@
+import { getPoolStats } from '../config/database.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('metrics');
+
+/**
+ * Prometheus metrics (GET /metrics)
+ *
+ * A small in-process registry rendered in the Prometheus text exposition
+ * format: counters and histograms keyed by their label values, and gauges
+ * read when the endpoint is scraped. Values reset when the process restarts.
+ */
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+const escapeLabel = (value) =>
+  String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const labelKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+
+const createCounter = (name, help, labelNames = []) => {
+  const series = new Map();
+
+  metrics.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  });
+
+  return {
+    inc: (labels = {}, amount = 1) => {
+      const key = labelKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+  };
+};
+
+const createHistogram = (name, help, labelNames = [], buckets = LATENCY_BUCKETS) => {
+  const series = new Map();
+
+  metrics.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (bucket, i) => `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`,
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    ],
+  });
+
+  const observe = (labels, seconds) => {
+    const key = labelKey(labelNames, labels);
+    const entry = series.get(key) || {
+      labels: pickLabels(labelNames, labels),
+      counts: buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    buckets.forEach((bucket, i) => {
+      if (seconds <= bucket) entry.counts[i] += 1;
+    });
+    entry.sum += seconds;
+    entry.count += 1;
+    series.set(key, entry);
+  };
+
+  return {
+    observe,
+    // Returns a function that records the time elapsed since the call
+    startTimer: (labels = {}) => {
+      const started = process.hrtime.bigint();
+      return (extraLabels = {}) =>
+        observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+    },
+  };
+};
+
+// collect() returns [{ labels, value }] at scrape time
+const createGauge = (name, help, collect) => {
+  metrics.push({
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  });
+};
+
+const syncEvents = createCounter(
+  'sync_events_total',
+  'Sync events processed, by source, operation and outcome',
+  ['source', 'operation', 'outcome'],
+);
+
+const syncEventDuration = createHistogram(
+  'sync_event_duration_seconds',
+  'Time to apply one sync event, including lock waits and retries',
+  ['source', 'operation'],
+);
+
+const syncConflicts = createCounter(
+  'sync_conflicts_total',
+  'Field conflicts detected, by table, field and whether they were resolved or held',
+  ['table', 'field', 'status'],
+);
+
+const httpDuration = createHistogram(
+  'http_request_duration_seconds',
+  'HTTP request latency, by route',
+  ['method', 'route', 'status'],
+);
+
+createGauge('mysql_pool_connections', 'MySQL pool connections, by state', () => {
+  const stats = getPoolStats();
+  return [
+    { labels: { state: 'in_use' }, value: stats.inUse },
+    { labels: { state: 'idle' }, value: stats.idle },
+  ];
+});
+
+createGauge('mysql_pool_connection_limit', 'Maximum MySQL pool connections', () => [
+  { value: getPoolStats().limit },
+]);
+
+createGauge('mysql_pool_waiting_requests', 'Requests waiting for a MySQL pool connection', () => [
+  { value: getPoolStats().waiting },
+]);
+
+/**
+ * Outcome label of one processed event
+ * applied, stale, loopback, conflict (a conflict was detected, whether it
+ * was resolved or held), ignored (other skips) or error
+ */
+const eventOutcome = (result) => {
+  if (!result || result.error) return 'error';
+  if (result.conflicted || result.status === 'pending') return 'conflict';
+  if (result.status === 'ignored') {
+    if (result.reason === 'stale_version') return 'stale';
+    if (result.reason === 'loopback') return 'loopback';
+    return 'ignored';
+  }
+  return 'applied';
+};
+
+/**
+ * Time one sync event - pass the result, or the error it threw, to the
+ * returned function
+ */
+export const startSyncEventTimer = (event) => {
+  const labels = {
+    source: event.metadata?.captured ? 'DB_CAPTURE' : event.source,
+    operation: event.operation,
+  };
+  const stopTimer = syncEventDuration.startTimer(labels);
+
+  return (result, error = null) => {
+    stopTimer();
+    syncEvents.inc({ ...labels, outcome: error ? 'error' : eventOutcome(result) });
+  };
+};
+
+export const recordConflict = (tableId, field, status) => {
+  syncConflicts.inc({ table: tableId, field, status });
+};
+
+/**
+ * Express middleware timing every request by its matched route
+ */
+export const httpMetrics = (req, res, next) => {
+  const stopTimer = httpDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    // Live streams stay open for minutes and would swamp the histogram
+    if (res.get('Content-Type')?.startsWith('text/event-stream')) return;
+
+    // Route patterns, not raw paths, so ids do not explode the label set
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    stopTimer({ route, status: res.statusCode });
+  });
+
+  next();
+};
+
+/**
+ * Every metric in the Prometheus text format
+ */
+export const renderMetrics = () => {
+  const lines = [];
+  for (const metric of metrics) {
+    try {
+      lines.push(...metric.render());
+    } catch (error) {
+      log.error('Failed to collect metric', { error: error.message });
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,48 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Plan mode - see what the engine would do with an event (POST /sync/plan)
+ *
+ * While a callback runs under withPlan, the database layer executes reads
+ * but only records every other statement, transactions are not opened and
+ * afterCommit side effects (sheet writes, stream messages, metrics) are
+ * dropped. The engine notes each decision it takes along the way.
+ */
+
+// Plan the current async call chain is recording, if any
+const planContext = new AsyncLocalStorage();
+
+/**
+ * Run a callback in plan mode
+ * Returns { result, steps, statements, effects }
+ */
+export const withPlan = async (callback) => {
+  const plan = { steps: [], statements: [], effects: [] };
+  const result = await planContext.run(plan, callback);
+  return { result, ...plan };
+};
+
+export const isPlanning = () => Boolean(planContext.getStore());
+
+// The helpers below do nothing outside a plan
+
+/**
+ * A decision of the engine, e.g. notePlanStep('stale', { rowId })
+ */
+export const notePlanStep = (step, details = {}) => {
+  planContext.getStore()?.steps.push({ step, ...details });
+};
+
+/**
+ * A statement that was skipped instead of executed
+ */
+export const notePlanStatement = (sql, values) => {
+  planContext.getStore()?.statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), values });
+};
+
+/**
+ * A side effect outside MySQL, e.g. a sheet write
+ */
+export const notePlanEffect = (effect, details = {}) => {
+  planContext.getStore()?.effects.push({ effect, ...details });
+};
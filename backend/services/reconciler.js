@@ -0,0 +1,290 @@
+import { withTransaction } from '../config/database.js';
+import {
+  getAllRecords,
+  getRecord,
+  applyUpdate,
+  insertRecord,
+  linkSheetRow,
+  withRecordLock,
+  logWebhookAudit,
+} from './syncEngine.js';
+import { getMappingForSheet } from './mappingRegistry.js';
+import { rebuildRowMap } from './rowIdentity.js';
+import { getOpenWriteRecordIds } from './sheetWriter.js';
+import { getDeletedRowIds } from './changeHistory.js';
+import { SyncError } from './errors.js';
+import { assertValidChanges } from './validation.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('reconcile');
+
+/**
+ * Reconciliation - diff a full sheet snapshot against its mapped table
+ *
+ * onEdit never fires for row deletions (and can be missed entirely when a
+ * webhook fails for good), so the Apps Script periodically sends the whole
+ * sheet. The sheet is treated as the source of truth:
+ *   inserts - sheet rows with no key, or a key the table does not have
+ *   updates - rows whose mapped cells differ from the record
+ *   deletes - records no sheet row points at
+ * Deletes are only applied when explicitly requested.
+ *
+ * The sheet can lag behind the DB, so records it cannot be trusted about
+ * are skipped (reported under skipped):
+ *   pending_sheet_write   - a DB → Sheet write for it is still in the outbox
+ *   changed_after_snapshot - updated in the DB after capturedAt
+ *   deleted_in_db         - a keyed sheet row whose record the DB deleted
+ * Each change is applied under the record's lock in its own transaction,
+ * and audited as RECONCILED.
+ */
+export const reconcileSheet = async (snapshot, options = {}) => {
+  const { sheetName, values } = snapshot;
+  const { apply = false, applyDeletes = false } = options;
+  const capturedAt = snapshot.capturedAt ? new Date(snapshot.capturedAt) : new Date();
+
+  const mapping = getMappingForSheet(sheetName);
+  if (!mapping) {
+    throw new SyncError(`Sheet "${sheetName}" is not mapped to a table`, 400);
+  }
+  if (!Array.isArray(values)) {
+    throw new SyncError('Snapshot "values" must be a 2D array', 400);
+  }
+  if (Number.isNaN(capturedAt.getTime())) {
+    throw new SyncError('Snapshot "capturedAt" must be a date', 400);
+  }
+
+  const keyColumn = mapping.columns.find((col) => col.field === mapping.keyField);
+  const dataColumns = mapping.columns.filter((col) => col.field !== mapping.keyField);
+
+  const records = await getAllRecords(mapping.table);
+  const recordsByKey = new Map(
+    records.map((record) => [String(record[mapping.keyField]), record]),
+  );
+
+  const inserts = [];
+  const updates = [];
+  const seenKeys = new Set();
+  const keys = [];
+
+  values.slice(mapping.headerRow).forEach((cells, index) => {
+    const sheetRow = mapping.headerRow + 1 + index;
+    const key = cells[keyColumn.column - 1];
+    keys.push(isBlank(key) ? null : key);
+
+    if (cells.every(isBlank)) return;
+
+    const sheetValues = Object.fromEntries(
+      dataColumns.map((col) => [col.field, normalizeCell(cells[col.column - 1])]),
+    );
+    const record = isBlank(key) ? null : recordsByKey.get(String(key));
+
+    if (!record) {
+      inserts.push({ sheetRow, key: isBlank(key) ? null : key, values: sheetValues });
+      return;
+    }
+
+    seenKeys.add(String(key));
+
+    const mismatches = dataColumns
+      .filter((col) => !valuesMatch(sheetValues[col.field], record[col.field]))
+      .map((col) => ({
+        field: col.field,
+        column: col.column,
+        sheetValue: sheetValues[col.field],
+        dbValue: record[col.field],
+      }));
+
+    if (mismatches.length > 0) {
+      updates.push({ sheetRow, rowId: record[mapping.keyField], mismatches });
+    }
+  });
+
+  const deletes = records
+    .filter((record) => !seenKeys.has(String(record[mapping.keyField])))
+    .map((record) => ({ rowId: record[mapping.keyField] }));
+
+  const skipped = [];
+  const skipReason = await findUntrusted(mapping, recordsByKey, inserts, capturedAt);
+  const keep = (entry, rowId) => {
+    const reason = rowId === null ? null : skipReason(rowId);
+    if (reason) skipped.push({ ...entry, reason });
+    return !reason;
+  };
+  const trustedUpdates = updates.filter((update) => keep(update, update.rowId));
+
+  const report = {
+    sheetName,
+    table: mapping.table,
+    capturedAt: capturedAt.toISOString(),
+    scannedRows: Math.max(values.length - mapping.headerRow, 0),
+    inserts: inserts.filter((insert) => keep(insert, insert.key)),
+    updates: trustedUpdates,
+    deletes: deletes.filter((remove) => keep(remove, remove.rowId)),
+    skipped,
+    mismatchedCells: trustedUpdates.reduce((sum, update) => sum + update.mismatches.length, 0),
+    applied: apply,
+  };
+
+  log.info('Reconciled sheet', {
+    sheetName,
+    inserts: report.inserts.length,
+    updates: report.updates.length,
+    deletes: report.deletes.length,
+    skipped: skipped.length,
+    apply,
+  });
+
+  if (apply) {
+    report.results = await applyReconciliation(mapping, keys, report, {
+      capturedAt,
+      applyDeletes,
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Why a record must not be reconciled from this snapshot, by key
+ * (null when it may be)
+ */
+const findUntrusted = async (mapping, recordsByKey, inserts, capturedAt) => {
+  const openWrites = await getOpenWriteRecordIds(mapping.table);
+  const unknownKeys = inserts.filter((insert) => insert.key !== null).map((insert) => insert.key);
+  const deleted = await getDeletedRowIds(mapping.table, unknownKeys);
+
+  return (rowId) => {
+    const key = String(rowId);
+    if (openWrites.has(key)) return 'pending_sheet_write';
+    if (deleted.has(key)) return 'deleted_in_db';
+    if (isNewerThan(recordsByKey.get(key), capturedAt)) return 'changed_after_snapshot';
+    return null;
+  };
+};
+
+const isNewerThan = (record, capturedAt) =>
+  Boolean(record?.updated_at) && new Date(record.updated_at) > capturedAt;
+
+/**
+ * Make the table match the snapshot
+ */
+const applyReconciliation = async (mapping, keys, report, { capturedAt, applyDeletes }) => {
+  const results = { inserted: 0, updated: 0, deleted: 0, skipped: 0, errors: [] };
+  const audit = (entry, operation, rowId, changes) =>
+    logWebhookAudit(
+      { sheetName: mapping.sheetName, reconcile: true, operation, rowId, ...entry, changes },
+      'RECONCILED',
+      null,
+      { source: 'SHEET', tableId: mapping.table, rowId, operation },
+    );
+
+  // The snapshot is authoritative about which row holds which record
+  await rebuildRowMap(mapping, keys);
+
+  for (const update of report.updates) {
+    try {
+      const changes = await assertValidChanges(
+        mapping.table,
+        Object.fromEntries(
+          update.mismatches.map((mismatch) => [mismatch.field, mismatch.sheetValue]),
+        ),
+        { rowId: update.rowId },
+      );
+      const applied = await withRecordLock(mapping.table, update.rowId, async () => {
+        // Re-read under the lock: it may have moved since the diff
+        const current = await getRecord(mapping.table, update.rowId, { forUpdate: true });
+        if (!current || isNewerThan(current, capturedAt)) return false;
+
+        await applyUpdate(mapping.table, current, {
+          source: 'SHEET',
+          operation: 'UPDATE',
+          changes,
+        });
+        await audit({ sheetRow: update.sheetRow }, 'UPDATE', update.rowId, changes);
+        return true;
+      });
+      results[applied ? 'updated' : 'skipped']++;
+    } catch (error) {
+      results.errors.push({
+        sheetRow: update.sheetRow,
+        message: error.message,
+        ...error.details,
+      });
+    }
+  }
+
+  for (const insert of report.inserts) {
+    try {
+      const values = await assertValidChanges(mapping.table, insert.values, {
+        operation: 'INSERT',
+      });
+      const data =
+        insert.key === null ? values : { [mapping.keyField]: insert.key, ...values };
+
+      const inserted =
+        insert.key === null
+          ? await withTransaction(async () => {
+              const result = await insertRecord(mapping.table, data, 'SHEET');
+              // Link the row and give it its new id in the key column
+              await linkSheetRow(mapping, insert.sheetRow, result.rowId);
+              await audit({ sheetRow: insert.sheetRow }, 'INSERT', result.rowId, data);
+              return true;
+            })
+          : await withRecordLock(mapping.table, insert.key, async () => {
+              if (await getRecord(mapping.table, insert.key, { forUpdate: true })) return false;
+              await insertRecord(mapping.table, data, 'SHEET');
+              await audit({ sheetRow: insert.sheetRow }, 'INSERT', insert.key, data);
+              return true;
+            });
+      results[inserted ? 'inserted' : 'skipped']++;
+    } catch (error) {
+      results.errors.push({
+        sheetRow: insert.sheetRow,
+        message: error.message,
+        ...error.details,
+      });
+    }
+  }
+
+  if (applyDeletes) {
+    for (const remove of report.deletes) {
+      try {
+        const deleted = await withRecordLock(mapping.table, remove.rowId, async () => {
+          const current = await getRecord(mapping.table, remove.rowId, { forUpdate: true });
+          if (!current || isNewerThan(current, capturedAt)) return false;
+
+          await applyUpdate(mapping.table, current, { source: 'SHEET', operation: 'DELETE' });
+          await audit({}, 'DELETE', remove.rowId);
+          return true;
+        });
+        results[deleted ? 'deleted' : 'skipped']++;
+      } catch (error) {
+        results.errors.push({ rowId: remove.rowId, message: error.message });
+      }
+    }
+  }
+
+  return results;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const normalizeCell = (value) => (isBlank(value) ? null : value);
+
+/**
+ * Compare a sheet cell with a DB value, treating numbers and numeric
+ * strings (DECIMAL columns come back as strings) as equal
+ */
+const valuesMatch = (sheetValue, dbValue) => {
+  if (isBlank(sheetValue) && isBlank(dbValue)) return true;
+  if (isBlank(sheetValue) || isBlank(dbValue)) return false;
+
+  const sheetNumber = Number(sheetValue);
+  const dbNumber = Number(dbValue);
+  if (!Number.isNaN(sheetNumber) && !Number.isNaN(dbNumber)) {
+    return sheetNumber === dbNumber;
+  }
+
+  return String(sheetValue) === String(dbValue);
+};
+
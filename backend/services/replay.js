@@ -0,0 +1,210 @@
+import { executeQuery } from '../config/database.js';
+import { logWebhookAudit } from './syncEngine.js';
+import { submitEvent } from './eventQueue.js';
+import { assertEventIdentifiers } from './schemaRegistry.js';
+import { validateEvent } from './validation.js';
+import { deriveIdempotencyKey } from './idempotency.js';
+import { findAuditEntries } from './auditLog.js';
+import { createLogger, getCorrelationId, newCorrelationId, withCorrelationId } from './logger.js';
+import { SyncError } from './errors.js';
+import { parseSheetEvent, parseSheetRangeEvent } from '../routes/sheetWebhook.js';
+import { parseDbEvent } from '../routes/dbWebhook.js';
+import { SIGNATURE_FAILURES } from '../middleware/verifyWebhookSignature.js';
+
+const log = createLogger('replay');
+
+const MAX_ITEMS = parseInt(process.env.REPLAY_MAX_ITEMS || '200', 10);
+
+/**
+ * Replay webhooks from the audit log (POST /sync/replay)
+ *
+ * The stored payload of each selected audit entry is parsed again by the
+ * webhook parsers, validated, and submitted like a fresh delivery, so it is
+ * queued, retried and audited as usual. Each item runs under a new
+ * correlation id and is reported on its own.
+ *
+ * A delivery has several audit rows (RECEIVED, ERROR, DEAD_LETTER...) that
+ * share a correlation id; it is replayed once. Deliveries that eventually
+ * succeeded (a PROCESSED row) are skipped unless force is set, so an old
+ * change does not overwrite newer data by accident.
+ *
+ * Deliveries that failed the signature check are never replayed, force or
+ * not: their payload is whatever the unauthenticated sender made up.
+ */
+
+/**
+ * Parse a stored webhook payload with the parser of the route it came in on
+ * (same dispatch as the webhook routes). Reverts and captured changes are
+ * not webhook payloads and give null
+ */
+export const parseWebhookPayload = (payload) => {
+  if (payload?.sheetName) {
+    return Array.isArray(payload.values) ? parseSheetRangeEvent(payload) : parseSheetEvent(payload);
+  }
+  if (payload?.tableId && payload.operation !== 'REVERT') {
+    return parseDbEvent(payload);
+  }
+  return null;
+};
+
+// Older rows recorded signature failures as REJECTED
+const failedAuthentication = (entry) =>
+  entry.status === 'UNAUTHORIZED' ||
+  (entry.status === 'REJECTED' && SIGNATURE_FAILURES.includes(entry.error_message));
+
+const parseIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new SyncError('ids must be a non-empty array of audit ids', 400);
+  }
+  if (ids.length > MAX_ITEMS) {
+    throw new SyncError(`At most ${MAX_ITEMS} entries can be replayed at once`, 400);
+  }
+  return ids.map((id) => {
+    const number = Number(id);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new SyncError(`Invalid audit id "${id}"`, 400);
+    }
+    return number;
+  });
+};
+
+const processedCorrelationIds = async (entries) => {
+  const correlationIds = [
+    ...new Set(entries.map((entry) => entry.correlation_id).filter(Boolean)),
+  ];
+  if (correlationIds.length === 0) return new Set();
+
+  const rows = await executeQuery(
+    `SELECT DISTINCT correlation_id FROM webhook_audit
+     WHERE status = 'PROCESSED' AND correlation_id IN (${correlationIds.map(() => '?').join(', ')})`,
+    correlationIds,
+  );
+  return new Set(rows.map((row) => row.correlation_id));
+};
+
+/**
+ * Re-run one audit entry; dry runs stop after validation
+ */
+const replayEntry = async (entry, { dryRun, replayId }) => {
+  const payload = parseJsonColumn(entry.payload);
+  const parsed = parseWebhookPayload(payload);
+  if (!parsed) {
+    return { status: 'skipped', reason: 'not_replayable' };
+  }
+
+  const event = {
+    ...parsed,
+    // Fresh key, so the original delivery's outcome is not handed back; a
+    // retried replay request (same X-Correlation-Id) is still deduplicated
+    idempotencyKey: deriveIdempotencyKey(parsed.source, ['replay', entry.id, replayId]),
+    replayOf: entry.id,
+  };
+
+  try {
+    await assertEventIdentifiers(event);
+    const syncEvent = await validateEvent(event);
+
+    if (dryRun) {
+      return { status: 'would_replay', event: syncEvent };
+    }
+
+    log.info('Replaying audit entry', { auditId: entry.id });
+    await logWebhookAudit(payload, 'RECEIVED', null, syncEvent);
+    const { queueId, duplicate, ...outcome } = await submitEvent(syncEvent, payload);
+
+    if (outcome.status !== 'done') {
+      return {
+        status: 'queued',
+        queueId,
+        duplicate,
+        reason: outcome.error ? outcome.error.message : null,
+      };
+    }
+    return { status: 'replayed', queueId, duplicate, result: outcome.result };
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    if (!dryRun) {
+      await logWebhookAudit(payload, statusCode < 500 ? 'REJECTED' : 'ERROR', error, event).catch(
+        (auditError) => log.error('Failed to audit replay', { error: auditError.message }),
+      );
+    }
+    return {
+      status: statusCode < 500 ? 'rejected' : 'error',
+      reason: error.message,
+      ...(error.details && { details: error.details }),
+    };
+  }
+};
+
+/**
+ * Replay audit entries by id ({ ids }) or by filter ({ filter: { status,
+ * source, table, rowId, from, to, q } }), oldest first
+ * Returns { dryRun, summary, results } with one result per selected entry
+ */
+export const replayAuditEntries = async ({ ids, filter, dryRun = false, force = false, limit }) => {
+  if (!ids && !filter) {
+    throw new SyncError('Provide ids or a filter', 400);
+  }
+
+  const max = Math.min(Number(limit) || MAX_ITEMS, MAX_ITEMS);
+  const wantedIds = ids ? parseIds(ids) : null;
+  const entries = await findAuditEntries({ ids: wantedIds, filter }, max);
+  const replayId = getCorrelationId() ?? newCorrelationId();
+
+  const results = [];
+
+  if (wantedIds) {
+    const found = new Set(entries.map((entry) => entry.id));
+    for (const id of wantedIds.filter((wanted) => !found.has(wanted))) {
+      results.push({ auditId: id, status: 'skipped', reason: 'not_found' });
+    }
+  }
+
+  const processed = force ? new Set() : await processedCorrelationIds(entries);
+
+  // The latest row of a delivery stands for the others
+  const latestOfDelivery = new Map();
+  for (const entry of entries) {
+    if (entry.correlation_id) latestOfDelivery.set(entry.correlation_id, entry.id);
+  }
+
+  for (const entry of entries) {
+    const base = { auditId: entry.id, auditStatus: entry.status, source: entry.source };
+    const deliveryId = entry.correlation_id;
+
+    if (failedAuthentication(entry)) {
+      results.push({ ...base, status: 'skipped', reason: 'unauthenticated' });
+      continue;
+    }
+    if (deliveryId && latestOfDelivery.get(deliveryId) !== entry.id) {
+      results.push({
+        ...base,
+        status: 'skipped',
+        reason: 'same_delivery',
+        replayedWith: latestOfDelivery.get(deliveryId),
+      });
+      continue;
+    }
+    if (deliveryId && processed.has(deliveryId)) {
+      results.push({ ...base, status: 'skipped', reason: 'already_processed' });
+      continue;
+    }
+
+    const correlationId = newCorrelationId();
+    const outcome = await withCorrelationId(correlationId, () =>
+      replayEntry(entry, { dryRun, replayId }),
+    );
+    results.push({ ...base, correlationId: dryRun ? null : correlationId, ...outcome });
+  }
+
+  const summary = {};
+  for (const result of results) {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  }
+
+  return { dryRun, summary, results };
+};
+
+// mysql2 returns JSON columns parsed, but older servers hand back strings
+const parseJsonColumn = (value) =>
+  typeof value === 'string' ? JSON.parse(value) : value;
@@ -0,0 +1,201 @@
+import { createWriteStream } from 'fs';
+import { mkdir, rm } from 'fs/promises';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import { createGzip } from 'zlib';
+import { fileURLToPath } from 'url';
+import { dirname, resolve, join } from 'path';
+import { executeQuery, executeUpdate } from '../config/database.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('retention');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const days = (name, fallback) => parseFloat(process.env[name] ?? fallback);
+
+const INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS || '3600000', 10);
+const ARCHIVE_DIR = resolve(process.env.RETENTION_ARCHIVE_DIR || resolve(__dirname, '../archive'));
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE || '1000', 10);
+const MAX_ROWS_PER_RUN = parseInt(process.env.RETENTION_MAX_ROWS_PER_RUN || '50000', 10);
+
+/**
+ * Retention for the audit, conflict, change history, queue and sheet outbox
+ * tables
+ *
+ * Rows older than their table's policy are archived to gzipped NDJSON files
+ * (one JSON row per line) in RETENTION_ARCHIVE_DIR and then deleted. The
+ * archive file is complete on disk before anything is deleted, and only the
+ * ids that were written are deleted. A policy of 0 days keeps rows forever.
+ * Each run handles at most RETENTION_MAX_ROWS_PER_RUN rows per table; the
+ * next run picks up the rest.
+ */
+const POLICIES = [
+  {
+    table: 'webhook_audit',
+    days: days('RETENTION_AUDIT_DAYS', '30'),
+  },
+  {
+    table: 'sync_conflicts',
+    days: days('RETENTION_CONFLICTS_DAYS', '90'),
+    // Open conflicts are still waiting on someone
+    keep: `status = 'PENDING'`,
+  },
+  {
+    table: 'change_log',
+    days: days('RETENTION_CHANGE_LOG_DAYS', '90'),
+    // Captured edits the poller has not synced yet
+    keep: 'processed = FALSE',
+  },
+  {
+    table: 'sync_queue',
+    days: days('RETENTION_QUEUE_DAYS', '7'),
+    // Only finished events; waiting and dead-lettered ones stay, and so do
+    // those a live idempotency key still answers duplicates from
+    keep: `status <> 'DONE' OR id IN (
+      SELECT queue_id FROM sync_idempotency_keys
+      WHERE queue_id IS NOT NULL AND expires_at > NOW())`,
+  },
+  {
+    table: 'sheet_outbox',
+    days: days('RETENTION_OUTBOX_DAYS', '30'),
+    // Only failed writes linger; pending ones are still to be sent
+    keep: `status = 'PENDING'`,
+  },
+];
+
+const archivePath = (table, startedAt) =>
+  join(ARCHIVE_DIR, `${table}-${startedAt.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`);
+
+const writeLine = async (stream, row) => {
+  if (!stream.write(`${JSON.stringify(row)}\n`)) {
+    await once(stream, 'drain');
+  }
+};
+
+/**
+ * Archive and delete the expired rows of one table
+ * Returns { table, archived, file }
+ */
+const purgeTable = async (policy, startedAt) => {
+  if (!(policy.days > 0)) {
+    return { table: policy.table, archived: 0, file: null };
+  }
+
+  const cutoff = new Date(startedAt.getTime() - policy.days * 24 * 60 * 60 * 1000);
+  const where = `created_at < ?${policy.keep ? ` AND NOT (${policy.keep})` : ''}`;
+
+  const [{ expired }] = await executeQuery(
+    `SELECT COUNT(*) AS expired FROM ${policy.table} WHERE ${where}`,
+    [cutoff],
+  );
+  if (expired === 0) {
+    return { table: policy.table, archived: 0, file: null };
+  }
+
+  await mkdir(ARCHIVE_DIR, { recursive: true });
+  const file = archivePath(policy.table, startedAt);
+  const gzip = createGzip();
+  const written = pipeline(gzip, createWriteStream(file, { flags: 'wx' }));
+  // Surfaced by the await below rather than as an unhandled rejection
+  written.catch(() => {});
+  const ids = [];
+
+  try {
+    let lastId = 0;
+    while (ids.length < MAX_ROWS_PER_RUN) {
+      const rows = await executeQuery(
+        `SELECT * FROM ${policy.table} WHERE ${where} AND id > ?
+         ORDER BY id ASC LIMIT ${Math.min(BATCH_SIZE, MAX_ROWS_PER_RUN - ids.length)}`,
+        [cutoff, lastId],
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        await writeLine(gzip, row);
+        ids.push(row.id);
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+
+    gzip.end();
+    await written;
+  } catch (error) {
+    gzip.destroy();
+    // Nothing was deleted - drop the partial archive (unless it was not ours)
+    if (error.code !== 'EEXIST') {
+      await rm(file, { force: true }).catch(() => {});
+    }
+    throw error;
+  }
+
+  // Only what made it into the archive, in batches to keep statements small
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const batch = ids.slice(i, i + BATCH_SIZE);
+    await executeUpdate(
+      `DELETE FROM ${policy.table} WHERE id IN (${batch.map(() => '?').join(', ')})`,
+      batch,
+    );
+  }
+
+  log.info('Archived expired rows', { table: policy.table, archived: ids.length, file });
+  return { table: policy.table, archived: ids.length, file };
+};
+
+let running = false;
+
+/**
+ * Run every policy once
+ */
+export const runRetention = async () => {
+  if (running) {
+    return { status: 'skipped', reason: 'already_running' };
+  }
+
+  running = true;
+  const startedAt = new Date();
+  try {
+    const tables = [];
+    for (const policy of POLICIES) {
+      try {
+        tables.push(await purgeTable(policy, startedAt));
+      } catch (error) {
+        log.error('Retention failed', { table: policy.table, error: error.message });
+        tables.push({ table: policy.table, error: error.message });
+      }
+    }
+    return { status: 'done', startedAt: startedAt.toISOString(), tables };
+  } finally {
+    running = false;
+  }
+};
+
+export const getRetentionPolicies = () => ({
+  archiveDir: ARCHIVE_DIR,
+  intervalMs: INTERVAL_MS,
+  policies: POLICIES.map(({ table, days: policyDays, keep }) => ({
+    table,
+    days: policyDays > 0 ? policyDays : null,
+    keep: keep || null,
+  })),
+});
+
+let retentionTimer = null;
+
+/**
+ * Apply the retention policies every RETENTION_INTERVAL_MS
+ */
+export const startRetention = () => {
+  retentionTimer = setInterval(() => {
+    runRetention().catch((error) => {
+      log.error('Retention run failed', { error: error.message });
+    });
+  }, INTERVAL_MS);
+
+  log.info('Retention started', getRetentionPolicies());
+};
+
+export const stopRetention = () => {
+  clearInterval(retentionTimer);
+  retentionTimer = null;
+};
@@ -0,0 +1,126 @@
+import { executeQuery, executeUpdate } from '../config/database.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('row-map');
+
+/**
+ * Row identity - maps physical sheet rows to table primary keys
+ *
+ * Sheet row numbers shift whenever someone sorts, inserts or deletes rows, so
+ * they are never used as record ids directly. The Apps Script sends the value
+ * of the key column with every edit (rowKey); when it is missing we fall back
+ * to the last known position stored in sheet_row_map.
+ */
+
+/**
+ * Resolve the record id for an edited sheet row, refreshing the map when
+ * the sheet told us which record the row holds
+ */
+export const resolveRecordId = async (mapping, sheetRow, rowKey) => {
+  if (rowKey !== undefined && rowKey !== null && rowKey !== '') {
+    await rememberRow(mapping, sheetRow, rowKey);
+    return rowKey;
+  }
+
+  return await findRecordId(mapping, sheetRow);
+};
+
+/**
+ * Record a sheet row held when the map was last updated, or null
+ */
+export const findRecordId = async (mapping, sheetRow) => {
+  const results = await executeQuery(
+    `SELECT record_id FROM sheet_row_map WHERE sheet_name = ? AND sheet_row = ? LIMIT 1`,
+    [mapping.sheetName, sheetRow],
+  );
+
+  return results[0] ? results[0].record_id : null;
+};
+
+/**
+ * Record that a sheet row currently holds the given record
+ */
+export const rememberRow = async (mapping, sheetRow, recordId) => {
+  // Drop whatever previously pointed at this row or this record
+  await executeUpdate(
+    `DELETE FROM sheet_row_map
+     WHERE (sheet_name = ? AND sheet_row = ?) OR (table_name = ? AND record_id = ?)`,
+    [mapping.sheetName, sheetRow, mapping.table, String(recordId)],
+  );
+
+  await executeUpdate(
+    `INSERT INTO sheet_row_map (sheet_name, sheet_row, table_name, record_id)
+     VALUES (?, ?, ?, ?)`,
+    [mapping.sheetName, sheetRow, mapping.table, String(recordId)],
+  );
+};
+
+/**
+ * Rebuild the map for a whole sheet from its key column
+ * keys[i] is the key found in the first data row + i
+ */
+export const rebuildRowMap = async (mapping, keys) => {
+  await executeUpdate(`DELETE FROM sheet_row_map WHERE sheet_name = ?`, [
+    mapping.sheetName,
+  ]);
+
+  const firstDataRow = mapping.headerRow + 1;
+  let mapped = 0;
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (key === undefined || key === null || key === '') continue;
+
+    await executeUpdate(
+      `INSERT INTO sheet_row_map (sheet_name, sheet_row, table_name, record_id)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE sheet_row = VALUES(sheet_row)`,
+      [mapping.sheetName, firstDataRow + i, mapping.table, String(key)],
+    );
+    mapped++;
+  }
+
+  log.info('Rebuilt row map', { sheetName: mapping.sheetName, tableId: mapping.table, mapped });
+
+  return mapped;
+};
+
+/**
+ * Find where a record lives in the sheet (for DB → Sheet writes)
+ */
+export const getSheetRow = async (tableId, recordId) => {
+  const results = await executeQuery(
+    `SELECT sheet_name, sheet_row FROM sheet_row_map
+     WHERE table_name = ? AND record_id = ? LIMIT 1`,
+    [tableId, String(recordId)],
+  );
+
+  if (!results[0]) return null;
+
+  return {
+    sheetName: results[0].sheet_name,
+    row: results[0].sheet_row,
+  };
+};
+
+/**
+ * Forget a record once it has been deleted
+ */
+export const forgetRecord = async (tableId, recordId) => {
+  await executeUpdate(
+    `DELETE FROM sheet_row_map WHERE table_name = ? AND record_id = ?`,
+    [tableId, String(recordId)],
+  );
+};
+
+/**
+ * Rows below a deleted sheet row move up by one
+ */
+export const shiftRowsAfterDelete = async (sheetName, deletedRow) => {
+  await executeUpdate(
+    `UPDATE sheet_row_map SET sheet_row = sheet_row - 1
+     WHERE sheet_name = ? AND sheet_row > ?
+     ORDER BY sheet_row ASC`,
+    [sheetName, deletedRow],
+  );
+};
@@ -0,0 +1,53 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Per-row serialization within this process
+ *
+ * Events for the same record run one after another, in arrival order, so
+ * two webhooks for one row never interleave their read-decide-write cycles.
+ * Across processes the SELECT ... FOR UPDATE in the sync engine takes over.
+ *
+ * Locks are re-entrant: code already holding a key (a range edit holds all
+ * of its rows) runs straight through when it asks for it again.
+ */
+
+const tails = new Map();
+const heldKeys = new AsyncLocalStorage();
+
+export const withRowLock = async (key, fn) => {
+  const held = heldKeys.getStore();
+  if (held?.has(key)) {
+    return await fn();
+  }
+
+  const previous = tails.get(key) || Promise.resolve();
+
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  tails.set(key, tail);
+
+  await previous;
+  try {
+    return await heldKeys.run(new Set([...(held || []), key]), fn);
+  } finally {
+    release();
+    if (tails.get(key) === tail) {
+      tails.delete(key);
+    }
+  }
+};
+
+/**
+ * Hold several row locks at once, taken one by one in the given order.
+ * Callers pass them in a fixed order so two holders never wait on each other.
+ */
+export const withRowLocks = async (keys, fn) => {
+  const [first, ...rest] = keys;
+  if (first === undefined) {
+    return await fn();
+  }
+  return await withRowLock(first, () => withRowLocks(rest, fn));
+};
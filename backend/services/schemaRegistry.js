@@ -0,0 +1,192 @@
+import { executeQuery } from '../config/database.js';
+import { getMappings, getMappingForTable } from './mappingRegistry.js';
+import { SyncError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('schema');
+
+// Maintained by the sync engine, never accepted from incoming changes
+export const PROTECTED_FIELDS = ['version', 'source', 'updated_at'];
+
+const NUMERIC_TYPES = ['int', 'bigint', 'smallint', 'mediumint', 'tinyint', 'decimal', 'float', 'double'];
+
+let schema = null;
+
+/**
+ * Schema registry - the allowlist of table and column names
+ *
+ * Table and field names from webhooks end up as SQL identifiers, so every
+ * one of them is checked against INFORMATION_SCHEMA before any SQL is
+ * built. Only tables that are both mapped and present in the database are
+ * accepted.
+ */
+export const loadSchema = async () => {
+  const rows = await executeQuery(
+    `SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, COLUMN_TYPE, IS_NULLABLE,
+            COLUMN_KEY, EXTRA, CHARACTER_MAXIMUM_LENGTH
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE()
+     ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+  );
+
+  const tables = new Map();
+  for (const row of rows) {
+    if (!tables.has(row.TABLE_NAME)) {
+      tables.set(row.TABLE_NAME, new Map());
+    }
+    tables.get(row.TABLE_NAME).set(row.COLUMN_NAME, {
+      name: row.COLUMN_NAME,
+      dataType: row.DATA_TYPE,
+      columnType: row.COLUMN_TYPE,
+      nullable: row.IS_NULLABLE === 'YES',
+      primaryKey: row.COLUMN_KEY === 'PRI',
+      unique: row.COLUMN_KEY === 'UNI',
+      autoIncrement: row.EXTRA.includes('auto_increment'),
+      maxLength: row.CHARACTER_MAXIMUM_LENGTH,
+    });
+  }
+
+  schema = tables;
+
+  for (const mapping of getMappings()) {
+    const columns = tables.get(mapping.table);
+    if (!columns) {
+      log.warn('Mapped table does not exist', { tableId: mapping.table });
+      continue;
+    }
+    const missing = mapping.columns.filter((col) => !columns.has(col.field));
+    if (missing.length > 0) {
+      log.warn('Mapped columns do not exist', {
+        tableId: mapping.table,
+        columns: missing.map((col) => col.field),
+      });
+    }
+  }
+
+  log.info('Loaded schema from INFORMATION_SCHEMA', { tables: tables.size });
+  return schema;
+};
+
+const ensureSchema = async () => schema || (await loadSchema());
+
+/**
+ * Column metadata for a synced table, throwing 400 for anything else
+ */
+export const assertTable = async (tableId) => {
+  const tables = await ensureSchema();
+
+  if (!getMappingForTable(tableId) || !tables.has(tableId)) {
+    const validTables = getMappings()
+      .map((mapping) => mapping.table)
+      .filter((table) => tables.has(table));
+
+    throw new SyncError(
+      `Unknown table "${tableId}". Valid tables: ${validTables.join(', ')}`,
+      400,
+      { validTables },
+    );
+  }
+
+  return tables.get(tableId);
+};
+
+/**
+ * Column type for a DB column the mapping does not type explicitly
+ * (one of the validation types: text, number, boolean, date)
+ */
+export const inferColumnType = (dbColumn) => {
+  if (!dbColumn) return 'text';
+  if (dbColumn.columnType === 'tinyint(1)') return 'boolean';
+  if (NUMERIC_TYPES.includes(dbColumn.dataType)) return 'number';
+  if (dbColumn.dataType === 'date') return 'date';
+  return 'text';
+};
+
+/**
+ * Synced tables with the metadata the dashboard renders them from:
+ * every mapped column with its type, rules and whether it can be edited.
+ * Mapped tables missing from the database are left out.
+ */
+export const describeTables = async () => {
+  const tables = await ensureSchema();
+
+  return getMappings()
+    .filter((mapping) => tables.has(mapping.table))
+    .map((mapping) => {
+      const dbColumns = tables.get(mapping.table);
+
+      return {
+        table: mapping.table,
+        sheetName: mapping.sheetName,
+        keyField: mapping.keyField,
+        columns: mapping.columns.map((column) => {
+          const dbColumn = dbColumns.get(column.field);
+          const rules = column.rules || {};
+
+          return {
+            field: column.field,
+            label: column.label,
+            type: column.type || inferColumnType(dbColumn),
+            sheetColumn: column.column,
+            dbType: dbColumn?.columnType ?? null,
+            required: rules.required ?? (dbColumn ? !dbColumn.nullable : false),
+            maxLength: rules.maxLength ?? dbColumn?.maxLength ?? null,
+            unique: Boolean(dbColumn?.unique || dbColumn?.primaryKey),
+            editable:
+              Boolean(dbColumn) &&
+              column.field !== mapping.keyField &&
+              !dbColumn.autoIncrement &&
+              !PROTECTED_FIELDS.includes(column.field),
+            rules,
+          };
+        }),
+      };
+    });
+};
+
+/**
+ * Check every field is a real, writable column of the table
+ */
+export const assertWritableFields = async (tableId, fields) => {
+  const columns = await assertTable(tableId);
+
+  const protectedFields = fields.filter((field) => PROTECTED_FIELDS.includes(field));
+  if (protectedFields.length > 0) {
+    throw new SyncError(
+      `Field(s) ${protectedFields.join(', ')} are managed by the sync engine and cannot be written`,
+      400,
+      { protectedFields },
+    );
+  }
+
+  const unknownFields = fields.filter((field) => !columns.has(field));
+  if (unknownFields.length > 0) {
+    const validColumns = [...columns.keys()].filter(
+      (column) => !PROTECTED_FIELDS.includes(column),
+    );
+    throw new SyncError(
+      `Unknown field(s) ${unknownFields.join(', ')} for table "${tableId}". Valid columns: ${validColumns.join(', ')}`,
+      400,
+      { unknownFields, validColumns },
+    );
+  }
+};
+
+/**
+ * Validate the identifiers an event will turn into SQL
+ * (for a BATCH event, the fields of every row)
+ */
+export const assertEventIdentifiers = async (event) => {
+  const changeSets =
+    event.operation === 'BATCH'
+      ? event.rows.map((row) => row.changes)
+      : [event.changes || {}];
+  const fields = [...new Set(changeSets.flatMap((changes) => Object.keys(changes)))];
+
+  await assertWritableFields(event.tableId, fields);
+};
+
+/**
+ * Backtick-quote an identifier that has already passed the allowlist
+ */
+export const quoteIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
@@ -0,0 +1,393 @@
+import { afterCommit, executeQuery, executeUpdate } from '../config/database.js';
+import { notePlanEffect } from './plan.js';
+import { getMappingForTable, getColumnForField } from './mappingRegistry.js';
+import {
+  getSheetRow,
+  rememberRow,
+  forgetRecord,
+  shiftRowsAfterDelete,
+} from './rowIdentity.js';
+import { createFakeSheetsClient } from './sheetsClients/fakeSheetsClient.js';
+import { createAppsScriptSheetsClient } from './sheetsClients/appsScriptSheetsClient.js';
+import { createLogger } from './logger.js';
+import { SyncError } from './errors.js';
+
+const log = createLogger('sheet-writer');
+
+const BATCH_DELAY_MS = parseInt(process.env.SHEET_WRITE_BATCH_MS || '500', 10);
+const BATCH_SIZE = parseInt(process.env.SHEET_WRITE_BATCH_SIZE || '50', 10);
+const MAX_ATTEMPTS = parseInt(process.env.SHEET_WRITE_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.SHEET_WRITE_RETRY_BASE_MS || '1000', 10);
+const MAX_FAILED_KEPT = 100;
+
+/**
+ * Sheet writer - pushes DB-originated changes back into the Google Sheet
+ *
+ * Writes are buffered and flushed in order: consecutive cell updates are
+ * merged into one updateCells call, appends and deletes go out one by one.
+ * Sheet rows are resolved through the row map at flush time, so a delete
+ * that shifts rows never leaves later writes pointing at stale positions.
+ *
+ * Every write is also stored in sheet_outbox, in the transaction of the
+ * change that caused it. It is deleted once the sheet has it, or marked
+ * FAILED when the writer gives up; startSheetWriter loads what a restart
+ * left behind.
+ *
+ * The Sheets client is pluggable; any object implementing
+ *   updateCells(sheetName, [{ row, column, value }])
+ *   appendRow(sheetName, values) → { row }
+ *   deleteRow(sheetName, row)
+ * can be installed with setSheetsClient().
+ */
+
+// SHEETS_CLIENT picks the client (apps_script or fake); without it the
+// Apps Script client is used when SHEETS_WEBAPP_URL is set
+const createDefaultClient = () => {
+  const choice = process.env.SHEETS_CLIENT;
+  if (choice === 'apps_script' || (!choice && process.env.SHEETS_WEBAPP_URL)) {
+    return createAppsScriptSheetsClient({
+      url: process.env.SHEETS_WEBAPP_URL,
+      token: process.env.SHEETS_WEBAPP_TOKEN,
+    });
+  }
+  if (choice && choice !== 'fake') {
+    throw new Error(`Unknown SHEETS_CLIENT "${choice}" (expected apps_script or fake)`);
+  }
+  return createFakeSheetsClient();
+};
+
+let client = createDefaultClient();
+// Nobody asked for the fake client: nothing is sent (the fake's row
+// numbers would end up in the real row map), writes stay PENDING in
+// sheet_outbox until a client is configured
+let implicitFake = client.name === 'fake' && process.env.SHEETS_CLIENT !== 'fake';
+let pending = [];
+let failed = [];
+let flushTimer = null;
+let flushing = null;
+
+export const getSheetsClient = () => client;
+
+/**
+ * Load the writes a restart left in sheet_outbox and send them
+ */
+export const startSheetWriter = async () => {
+  if (implicitFake) {
+    log.error(
+      'No Sheets client configured - DB changes are NOT written to the sheet and wait in ' +
+        'sheet_outbox. Set SHEETS_WEBAPP_URL, or SHEETS_CLIENT=fake to use the in-memory sheet on purpose.',
+    );
+    return;
+  }
+
+  await loadOutbox();
+};
+
+const loadOutbox = async () => {
+  try {
+    const rows = await executeQuery(
+      `SELECT * FROM sheet_outbox WHERE status = 'PENDING' ORDER BY id ASC`,
+    );
+    // Writes queued since startup are already buffered
+    const buffered = new Set(pending.map((op) => op.outboxId));
+    pending = [...rows.filter((row) => !buffered.has(row.id)).map(fromOutboxRow), ...pending];
+
+    const failedRows = await executeQuery(
+      `SELECT * FROM sheet_outbox WHERE status = 'FAILED' ORDER BY id DESC LIMIT ${MAX_FAILED_KEPT}`,
+    );
+    failed = failedRows.map((row) => ({
+      ...fromOutboxRow(row),
+      error: row.last_error,
+      failedAt: new Date(row.failed_at).toISOString(),
+    }));
+
+    if (rows.length > 0) {
+      log.info('Recovered sheet writes', { count: rows.length });
+      scheduleFlush(0);
+    }
+  } catch (error) {
+    log.error('Could not load stored sheet writes', { error: error.message });
+  }
+};
+
+const fromOutboxRow = (row) => ({
+  ...parseJsonColumn(row.op),
+  outboxId: row.id,
+  attempts: row.attempts,
+});
+
+// mysql2 returns JSON columns parsed, but older servers hand back strings
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export const setSheetsClient = (sheetsClient) => {
+  const held = implicitFake;
+  client = sheetsClient;
+  implicitFake = false;
+  // Send what waited for a client
+  if (held) loadOutbox();
+};
+
+/**
+ * Write changed fields of a record into its sheet row
+ */
+export const queueCellUpdates = async (tableId, recordId, changes) => {
+  if (!getMappingForTable(tableId)) return;
+  await enqueue({ type: 'update', tableId, recordId, changes });
+};
+
+/**
+ * Append a newly created record as a sheet row
+ */
+export const queueAppend = async (tableId, record) => {
+  if (!getMappingForTable(tableId)) return;
+  await enqueue({ type: 'append', tableId, record });
+};
+
+/**
+ * Remove a deleted record's sheet row
+ */
+export const queueDelete = async (tableId, recordId) => {
+  if (!getMappingForTable(tableId)) return;
+  await enqueue({ type: 'delete', tableId, recordId });
+};
+
+// Stored with the change itself; only sent once its transaction commits
+const enqueue = async (op) => {
+  notePlanEffect('sheet_write', op);
+  const { insertId } = await executeUpdate(`INSERT INTO sheet_outbox (op) VALUES (?)`, [
+    JSON.stringify(op),
+  ]);
+  afterCommit(() => {
+    if (implicitFake) return;
+    pending.push({ ...op, outboxId: insertId, attempts: 0 });
+
+    if (pending.length >= BATCH_SIZE) {
+      scheduleFlush(0);
+    } else {
+      scheduleFlush(BATCH_DELAY_MS);
+    }
+  });
+};
+
+const scheduleFlush = (delayMs) => {
+  if (flushTimer) {
+    if (delayMs > 0) return;
+    clearTimeout(flushTimer);
+  }
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushSheetWrites();
+  }, delayMs);
+};
+
+/**
+ * Send everything buffered so far
+ * Resolves once the buffer is empty or a failed write has been scheduled
+ * for retry
+ */
+export const flushSheetWrites = async () => {
+  if (implicitFake) {
+    throw new SyncError('No Sheets client configured; writes wait in sheet_outbox', 503);
+  }
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    try {
+      while (pending.length > 0) {
+        const unit = takeNextUnit();
+
+        try {
+          await runUnit(unit);
+        } catch (error) {
+          if (!(await handleFailure(unit, error))) return;
+          continue;
+        }
+        await removeFromOutbox(unit);
+      }
+    } finally {
+      flushing = null;
+    }
+  })();
+
+  return flushing;
+};
+
+/**
+ * Next batch to send: a run of cell updates for the same sheet, or a
+ * single append/delete
+ */
+const takeNextUnit = () => {
+  const first = pending[0];
+  if (first.type !== 'update') {
+    return [pending.shift()];
+  }
+
+  const sheetName = getMappingForTable(first.tableId).sheetName;
+  let count = 0;
+  while (
+    count < pending.length &&
+    count < BATCH_SIZE &&
+    pending[count].type === 'update' &&
+    getMappingForTable(pending[count].tableId).sheetName === sheetName
+  ) {
+    count++;
+  }
+  return pending.splice(0, count);
+};
+
+const runUnit = async (unit) => {
+  const [first] = unit;
+  const mapping = getMappingForTable(first.tableId);
+
+  if (first.type === 'update') {
+    const cells = [];
+    for (const op of unit) {
+      const location = await getSheetRow(op.tableId, op.recordId);
+      if (!location) {
+        log.info('Row is not in the sheet, skipping update', {
+          tableId: op.tableId,
+          rowId: op.recordId,
+        });
+        continue;
+      }
+      for (const [field, value] of Object.entries(op.changes)) {
+        const column = getColumnForField(mapping, field);
+        if (column) {
+          cells.push({ row: location.row, column, value });
+        }
+      }
+    }
+
+    if (cells.length > 0) {
+      await client.updateCells(mapping.sheetName, cells);
+      log.info('Updated cells', { sheetName: mapping.sheetName, cells: cells.length });
+    }
+    return;
+  }
+
+  if (first.type === 'append') {
+    const width = Math.max(...mapping.columns.map((col) => col.column));
+    const values = Array.from({ length: width }, () => '');
+    for (const col of mapping.columns) {
+      const value = first.record[col.field];
+      values[col.column - 1] = value === null || value === undefined ? '' : value;
+    }
+
+    const { row } = await client.appendRow(mapping.sheetName, values);
+    await rememberRow(mapping, row, first.record[mapping.keyField]);
+
+    log.info('Appended row', { tableId: first.tableId, sheetName: mapping.sheetName, row });
+    return;
+  }
+
+  if (first.type === 'delete') {
+    const location = await getSheetRow(first.tableId, first.recordId);
+    if (location) {
+      await client.deleteRow(location.sheetName, location.row);
+      await forgetRecord(first.tableId, first.recordId);
+      await shiftRowsAfterDelete(location.sheetName, location.row);
+
+      log.info('Deleted row', {
+        sheetName: location.sheetName,
+        row: location.row,
+        tableId: first.tableId,
+        rowId: first.recordId,
+      });
+    }
+  }
+};
+
+const outboxIds = (unit) => unit.map((op) => op.outboxId);
+
+const inList = (ids) => ids.map(() => '?').join(', ');
+
+// The sheet has it - a failure here only means it may be sent again after
+// a restart, so it does not stop the writer
+const removeFromOutbox = async (unit) => {
+  try {
+    await executeUpdate(
+      `DELETE FROM sheet_outbox WHERE id IN (${inList(outboxIds(unit))})`,
+      outboxIds(unit),
+    );
+  } catch (error) {
+    log.error('Could not remove sent writes from the outbox', { error: error.message });
+  }
+};
+
+const updateOutbox = async (unit, sql, values) => {
+  try {
+    await executeUpdate(`${sql} WHERE id IN (${inList(outboxIds(unit))})`, [
+      ...values,
+      ...outboxIds(unit),
+    ]);
+  } catch (error) {
+    log.error('Could not update the outbox', { error: error.message });
+  }
+};
+
+/**
+ * Put a failed unit back at the front of the buffer with backoff, or give
+ * up on it after MAX_ATTEMPTS. Returns true if flushing should continue.
+ */
+const handleFailure = async (unit, error) => {
+  const attempts = unit[0].attempts + 1;
+
+  if (attempts >= MAX_ATTEMPTS) {
+    log.error('Giving up on writes', { writes: unit.length, attempts, error: error.message });
+    await updateOutbox(
+      unit,
+      `UPDATE sheet_outbox SET status = 'FAILED', attempts = ?, last_error = ?, failed_at = NOW()`,
+      [attempts, error.message],
+    );
+    failed = [
+      ...unit.map((op) => ({ ...op, attempts, error: error.message, failedAt: new Date().toISOString() })),
+      ...failed,
+    ].slice(0, MAX_FAILED_KEPT);
+    return true;
+  }
+
+  const delayMs = RETRY_BASE_MS * 2 ** (attempts - 1);
+  log.warn('Write failed, retrying', {
+    attempts,
+    maxAttempts: MAX_ATTEMPTS,
+    delayMs,
+    error: error.message,
+  });
+
+  await updateOutbox(unit, `UPDATE sheet_outbox SET attempts = ?, last_error = ?`, [
+    attempts,
+    error.message,
+  ]);
+  pending = [...unit.map((op) => ({ ...op, attempts })), ...pending];
+  scheduleFlush(delayMs);
+  return false;
+};
+
+/**
+ * Ids of a table's records with a sheet write still in the outbox
+ * (queued, retrying or failed) - their sheet rows are not up to date yet
+ */
+export const getOpenWriteRecordIds = async (tableId) => {
+  const keyField = getMappingForTable(tableId)?.keyField;
+  const rows = await executeQuery(
+    `SELECT op FROM sheet_outbox WHERE status IN ('PENDING', 'FAILED')`,
+  );
+
+  return new Set(
+    rows
+      .map((row) => parseJsonColumn(row.op))
+      .filter((op) => op.tableId === tableId)
+      .map((op) => String(op.recordId ?? op.record?.[keyField])),
+  );
+};
+
+/**
+ * Outbound writer state, as reported by GET /sync/outbound
+ */
+export const getSheetWriterStats = () => ({
+  client: client.name || 'custom',
+  // Fallen back to the fake client without SHEETS_CLIENT=fake
+  unconfigured: implicitFake,
+  pending: pending.length,
+  failed,
+});
@@ -0,0 +1,41 @@
+/**
+ * Sheets client backed by the Apps Script web app (doPost in
+ * google-apps-script.js), so no Google API credentials are needed on the
+ * backend. Deploy the script as a web app and set SHEETS_WEBAPP_URL.
+ */
+export const createAppsScriptSheetsClient = ({ url, token }) => {
+  const call = async (action, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, token, ...body }),
+      redirect: 'follow',
+    });
+
+    if (!response.ok) {
+      throw new Error(`Sheets web app responded ${response.status} to ${action}`);
+    }
+
+    const result = await response.json();
+    if (result.error) {
+      throw new Error(`Sheets web app failed ${action}: ${result.error}`);
+    }
+    return result;
+  };
+
+  return {
+    name: 'apps_script',
+
+    async updateCells(sheetName, cells) {
+      return call('updateCells', { sheetName, cells });
+    },
+
+    async appendRow(sheetName, values) {
+      return call('appendRow', { sheetName, values });
+    },
+
+    async deleteRow(sheetName, row) {
+      return call('deleteRow', { sheetName, row });
+    },
+  };
+};
@@ -0,0 +1,51 @@
+/**
+ * In-memory Sheets client
+ *
+ * Keeps every sheet as a 2D array of values (row 1 = header) so the outbound
+ * writer can be exercised locally without Google. Inspect the result with
+ * getValues(sheetName).
+ */
+export const createFakeSheetsClient = (initialSheets = {}) => {
+  const sheets = new Map(
+    Object.entries(initialSheets).map(([name, values]) => [
+      name,
+      values.map((row) => [...row]),
+    ]),
+  );
+
+  const getSheet = (sheetName) => {
+    if (!sheets.has(sheetName)) {
+      sheets.set(sheetName, [[]]);
+    }
+    return sheets.get(sheetName);
+  };
+
+  return {
+    name: 'fake',
+
+    async updateCells(sheetName, cells) {
+      const sheet = getSheet(sheetName);
+      for (const { row, column, value } of cells) {
+        while (sheet.length < row) sheet.push([]);
+        sheet[row - 1][column - 1] = value;
+      }
+      return { updated: cells.length };
+    },
+
+    async appendRow(sheetName, values) {
+      const sheet = getSheet(sheetName);
+      sheet.push([...values]);
+      return { row: sheet.length };
+    },
+
+    async deleteRow(sheetName, row) {
+      const sheet = getSheet(sheetName);
+      sheet.splice(row - 1, 1);
+      return { deleted: 1 };
+    },
+
+    getValues(sheetName) {
+      return getSheet(sheetName).map((row) => [...row]);
+    },
+  };
+};
@@ -1,39 +1,224 @@
-import { executeQuery, executeUpdate } from '../config/database.js';
+import {
+  executeQuery,
+  executeUpdate,
+  withTransaction,
+  isInTransaction,
+  afterCommit,
+} from '../config/database.js';
+import { getKeyField, getMappingForSheet } from './mappingRegistry.js';
+import { resolveRecordId, forgetRecord, rememberRow } from './rowIdentity.js';
+import {
+  CONFLICT_STRATEGIES,
+  getFieldStrategy,
+  resolveFieldConflict,
+} from './conflictStrategies.js';
+import { queueCellUpdates, queueAppend, queueDelete } from './sheetWriter.js';
+import {
+  assertTable,
+  assertWritableFields,
+  assertEventIdentifiers,
+  quoteIdentifier,
+} from './schemaRegistry.js';
+import { withRowLock, withRowLocks } from './rowLock.js';
+import { STREAM_EVENTS, publish } from './eventBus.js';
+import { SyncError, VersionConflictError } from './errors.js';
+import { recordChange } from './changeHistory.js';
+import { toDuplicateError } from './validation.js';
+import { startSyncEventTimer, recordConflict } from './metrics.js';
+import { createLogger, getCorrelationId } from './logger.js';
+import { withPlan, isPlanning, notePlanStep } from './plan.js';
+
+const log = createLogger('sync');
+
+const VERSION_RETRIES = parseInt(process.env.SYNC_VERSION_RETRIES || '3', 10);
 
-const CONFLICT_STRATEGIES = {
-  LAST_WRITE_WINS: 'last_write_wins',
-  VERSION_BASED: 'version_based',
-  MANUAL: 'manual',
+/**
+ * Core sync engine - handles bidirectional sync between Sheet and DB
+ */
+
+export const processSyncEvent = async (incomingEvent) => {
+  // Range edits are counted per row as each one comes back through here
+  if (incomingEvent.operation === 'BATCH') {
+    return await processBatchEvent(incomingEvent);
+  }
+
+  // Planned events are not counted
+  const recordOutcome = isPlanning() ? () => {} : startSyncEventTimer(incomingEvent);
+  try {
+    const result =
+      incomingEvent.operation === 'INSERT'
+        ? await processInsertEvent(incomingEvent)
+        : await processRowEvent(incomingEvent);
+    recordOutcome(result);
+    return result;
+  } catch (error) {
+    recordOutcome(null, error);
+    throw error;
+  }
 };
 
 /**
- * Core sync engine - handles bidirectional sync between Sheet and DB
+ * Plan Mode - run an event through the engine without writing anything
+ * Returns the decision path, the detected conflicts with their resolved
+ * values, the statements that would run and the sheet writes that would be
+ * queued, along with the result the event would have had
  */
+export const planSyncEvent = async (event) => {
+  const { result, steps, statements, effects } = await withPlan(() => processSyncEvent(event));
+  const conflictSteps = steps.filter((step) => step.step === 'conflict');
+
+  return {
+    event,
+    path: steps.map((step) => step.step),
+    steps,
+    conflicts: conflictSteps.flatMap((step) => step.conflicts),
+    resolvedValues: Object.assign({}, ...conflictSteps.map((step) => step.resolvedValues)),
+    statements,
+    sheetWrites: effects.filter(({ effect }) => effect === 'sheet_write'),
+    result,
+  };
+};
 
-export const processSyncEvent = async (event) => {
+/**
+ * Row Event - an UPDATE or DELETE of one record
+ */
+const processRowEvent = async (incomingEvent) => {
+  const event = await resolveRowIdentity(incomingEvent);
   const { source, rowId, tableId, operation, changes } = event;
 
-  console.log(`[SYNC] Processing ${source} event:`, { rowId, operation, changes });
+  log.info('Processing event', { source, tableId, rowId, operation, changes });
+
+  // Table and field names become SQL identifiers - allowlist them first
+  await assertEventIdentifiers(event);
+
+  // Sheet row not linked to any record yet
+  if (rowId === null || rowId === undefined) {
+    notePlanStep('not_found', { tableId, rowId });
+    return { error: 'Record not found' };
+  }
+
+  return await withRecordLock(tableId, rowId, () => applyEvent(event));
+};
+
+/**
+ * New Record - a dashboard or DB insert without an id gets a generated one.
+ * A new sheet row (no key yet) is created once: edits arriving while the
+ * first one is being applied wait on the sheet row's lock and then find the
+ * record through the row map, so they become updates.
+ */
+const processInsertEvent = async (event) => {
+  await assertEventIdentifiers(event);
+
+  if (event.source === 'SHEET') {
+    const { sheetName, sheetRow } = event.metadata;
+    return await withRowLock(`sheet:${sheetName}:${sheetRow}`, async () => {
+      const resolved = await resolveRowIdentity(event);
+      if (resolved.rowId !== null && resolved.rowId !== undefined) {
+        return await withRecordLock(resolved.tableId, resolved.rowId, () =>
+          applyEvent({ ...resolved, operation: 'UPDATE' }),
+        );
+      }
+
+      return await withTransaction(async () => {
+        const result = await insertRecord(event.tableId, event.changes, 'SHEET', event.metadata);
+        await linkSheetRow(getMappingForSheet(sheetName), sheetRow, result.rowId);
+        return result;
+      });
+    });
+  }
+
+  if (event.rowId === null || event.rowId === undefined) {
+    return await withTransaction(() =>
+      insertRecord(event.tableId, event.changes, event.source, event.metadata),
+    );
+  }
+
+  return await withRecordLock(event.tableId, event.rowId, () => applyEvent(event));
+};
+
+/**
+ * Point a sheet row at the record created from it and write the record's
+ * new id into the row's key column
+ */
+export const linkSheetRow = async (mapping, sheetRow, recordId) => {
+  await rememberRow(mapping, sheetRow, recordId);
+  await queueCellUpdates(mapping.table, recordId, { [mapping.keyField]: recordId });
+};
+
+/**
+ * Run a read-decide-write cycle on one record: serialized per row, in one
+ * transaction, and retried from the top if the record's version moved
+ * underneath it
+ */
+export const withRecordLock = async (tableId, rowId, fn) => {
+  return await withRowLock(`${tableId}:${rowId}`, () =>
+    retryOnVersionConflict(() => withTransaction(fn)),
+  );
+};
+
+const retryOnVersionConflict = async (attemptFn) => {
+  // Inside an outer transaction (range edits) a retry cannot undo what the
+  // failed attempt wrote, so the whole outer transaction fails instead
+  const maxAttempts = isInTransaction() ? 1 : VERSION_RETRIES + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptFn();
+    } catch (error) {
+      const retryable =
+        error instanceof VersionConflictError || error.code === 'ER_LOCK_DEADLOCK';
+      if (!retryable || attempt >= maxAttempts) {
+        throw error;
+      }
 
-  // Fetch current DB state
-  const currentRecord = await getRecord(tableId, rowId);
+      log.warn('Version conflict, retrying', {
+        attempt,
+        maxRetries: maxAttempts - 1,
+        error: error.message,
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10 * attempt + Math.random() * 20));
+    }
+  }
+};
+
+/**
+ * Decide and apply an event against the locked record
+ */
+const applyEvent = async (event) => {
+  const { source, rowId, tableId, operation, changes } = event;
+
+  // Captured direct DB edit - the table already holds the change
+  if (event.metadata?.captured) {
+    return await applyCapturedChange(event);
+  }
+
+  // Fetch current DB state, locking the row until the transaction ends
+  const currentRecord = await getRecord(tableId, rowId, { forUpdate: true });
 
   if (!currentRecord) {
     if (operation === 'INSERT') {
-      return await insertRecord(tableId, changes);
+      return await insertRecord(tableId, changes, source, event.metadata);
     }
+    notePlanStep('not_found', { tableId, rowId });
     return { error: 'Record not found' };
   }
 
   // Idempotency check - ignore if version is stale
   if (isStaleUpdate(currentRecord, event)) {
-    console.log(`[SYNC] Ignoring stale update for row ${rowId}`);
+    notePlanStep('stale', {
+      tableId,
+      rowId,
+      eventVersion: event.version,
+      currentVersion: currentRecord.version,
+    });
+    log.info('Ignoring stale update', { source, tableId, rowId });
     return { status: 'ignored', reason: 'stale_version' };
   }
 
-  // Loop prevention - check if update originated from same source
-  if (shouldIgnoreLoopback(currentRecord, source)) {
-    console.log(`[SYNC] Ignoring loopback from ${source}`);
+  // Loop prevention - check if update is an echo of our own write
+  if (shouldIgnoreLoopback(currentRecord, event)) {
+    notePlanStep('loopback', { tableId, rowId, currentSource: currentRecord.source });
+    log.info('Ignoring loopback', { source, tableId, rowId });
     return { status: 'ignored', reason: 'loopback' };
   }
 
@@ -41,14 +226,224 @@ export const processSyncEvent = async (event) => {
   const conflict = detectConflict(currentRecord, event);
 
   if (conflict) {
-    console.log(`[SYNC] Conflict detected for row ${rowId}`);
-    return await resolveConflict(tableId, currentRecord, event, conflict);
+    log.info('Conflict detected', {
+      tableId,
+      rowId,
+      fields: conflict.map((field) => field.field),
+    });
+    const result = await resolveConflict(tableId, currentRecord, event, conflict);
+    return { ...result, conflicted: true };
   }
 
   // No conflict - apply update
   return await applyUpdate(tableId, currentRecord, event);
 };
 
+/**
+ * Revert - put a row back the way it was before a change (POST
+ * /sync/rows/:table/:id/revert/:changeId, event from buildRevertEvent).
+ * The user chose the values to restore, so there is no conflict detection
+ * and no strategy: the event is applied as is, under the record's lock.
+ */
+export const applyRevert = async (event) => {
+  const { tableId, rowId, operation, changes, source, metadata } = event;
+
+  return await withRecordLock(tableId, rowId, async () => {
+    const currentRecord = await getRecord(tableId, rowId, { forUpdate: true });
+
+    if (operation === 'INSERT') {
+      if (currentRecord) {
+        throw new SyncError(`${tableId} row ${rowId} exists again; nothing to restore`, 409);
+      }
+      return await insertRecord(tableId, changes, source, metadata);
+    }
+
+    if (!currentRecord) {
+      throw new SyncError(`${tableId} row ${rowId} not found`, 404);
+    }
+
+    // Reverting the same change twice leaves nothing to do
+    if (
+      operation === 'UPDATE' &&
+      Object.entries(changes).every(([field, value]) => isSameValue(currentRecord[field], value))
+    ) {
+      return { status: 'ignored', reason: 'already_reverted', rowId };
+    }
+
+    return await applyUpdate(tableId, currentRecord, event);
+  });
+};
+
+/**
+ * Range Edit - a pasted, filled or cleared sheet range arrives as one
+ * BATCH event. Each row is processed as its own UPDATE, all in a single
+ * transaction, and the outcome is reported per cell.
+ *
+ * A single event takes its row lock before a connection, so the batch
+ * takes every row's lock before opening its transaction - never the other
+ * way round, which could deadlock with an event waiting for a connection.
+ */
+const processBatchEvent = async (batch) => {
+  await assertEventIdentifiers(batch);
+
+  log.info('Processing range edit', {
+    source: batch.source,
+    tableId: batch.tableId,
+    rows: batch.rows.length,
+  });
+
+  const lockKeys = await getBatchLockKeys(batch);
+
+  const rowResults = await withRowLocks(lockKeys, () =>
+    withTransaction(async () => {
+      const results = [];
+      for (const row of batch.rows) {
+        const result = await processSyncEvent({
+          source: batch.source,
+          idempotencyKey: batch.idempotencyKey,
+          correlationId: batch.correlationId,
+          rowId: row.rowId,
+          tableId: batch.tableId,
+          operation: row.newRow ? 'INSERT' : 'UPDATE',
+          timestamp: batch.timestamp,
+          changes: row.changes,
+          metadata: { sheetName: batch.metadata.sheetName, sheetRow: row.sheetRow },
+        });
+        results.push({ row, result });
+      }
+      return results;
+    }),
+  );
+
+  const cells = [
+    ...rowResults.flatMap(({ row, result }) =>
+      row.cells.map((cell) => ({ ...cell, ...cellOutcome(cell, result) })),
+    ),
+    ...(batch.skippedCells || []),
+  ].sort((a, b) => a.row - b.row || a.column - b.column);
+
+  const summary = {};
+  for (const cell of cells) {
+    summary[cell.status] = (summary[cell.status] || 0) + 1;
+  }
+
+  return {
+    status: 'success',
+    operation: 'BATCH',
+    rows: rowResults.map(({ row, result }) => ({ sheetRow: row.sheetRow, ...result })),
+    cells,
+    summary,
+  };
+};
+
+/**
+ * Row locks a range edit needs, in the order single events take them: the
+ * sheet rows of new rows first, then the records, each group sorted
+ */
+const getBatchLockKeys = async (batch) => {
+  const { sheetName } = batch.metadata;
+  const mapping = getMappingForSheet(sheetName);
+  const sheetKeys = new Set();
+  const recordKeys = new Set();
+
+  for (const row of batch.rows) {
+    if (row.newRow) {
+      sheetKeys.add(`sheet:${sheetName}:${row.sheetRow}`);
+    }
+    const rowId =
+      batch.source === 'SHEET'
+        ? await resolveRecordId(mapping, row.sheetRow, row.rowId)
+        : row.rowId;
+    if (rowId !== null && rowId !== undefined) {
+      recordKeys.add(`${batch.tableId}:${rowId}`);
+    }
+  }
+
+  return [...[...sheetKeys].sort(), ...[...recordKeys].sort()];
+};
+
+/**
+ * What happened to one cell of a range edit, from its row's result
+ */
+const cellOutcome = (cell, result) => {
+  if (result.error) {
+    return { status: 'error', reason: result.error };
+  }
+  if (result.status === 'ignored') {
+    return { status: 'ignored', reason: result.reason };
+  }
+  if (result.status === 'pending' && result.heldFields.includes(cell.field)) {
+    return { status: 'pending', reason: result.reason };
+  }
+  return { status: 'applied', rowId: result.rowId };
+};
+
+/**
+ * Captured Change - a client wrote to the table directly, so there is
+ * nothing to apply; stamp the record as DB-originated and push it to the sheet
+ */
+const applyCapturedChange = async (event) => {
+  const { tableId, rowId, operation, changes } = event;
+
+  notePlanStep('captured', { tableId, rowId, operation });
+
+  if (operation === 'DELETE') {
+    await queueDelete(tableId, rowId);
+    publish(STREAM_EVENTS.ROW, { tableId, rowId, operation });
+    return { status: 'success', operation, rowId, captured: true };
+  }
+
+  const currentRecord = await getRecord(tableId, rowId, { forUpdate: true });
+  if (!currentRecord) {
+    // Deleted again before we got to it - the DELETE capture handles the sheet
+    return { status: 'ignored', reason: 'record_gone', rowId };
+  }
+
+  const keyField = getKeyField(tableId);
+  const newVersion = (currentRecord.version || 0) + 1;
+  const result = await executeUpdate(
+    `UPDATE ${quoteIdentifier(tableId)} SET source = ?, version = ?
+     WHERE ${quoteIdentifier(keyField)} = ? AND version <=> ?`,
+    ['DB', newVersion, rowId, currentRecord.version],
+  );
+  if (result.affectedRows === 0) {
+    throw new VersionConflictError(tableId, rowId, currentRecord.version);
+  }
+
+  const record = { ...currentRecord, source: 'DB', version: newVersion };
+  if (operation === 'INSERT') {
+    await queueAppend(tableId, record);
+  } else {
+    await queueCellUpdates(tableId, rowId, changes);
+  }
+  publish(STREAM_EVENTS.ROW, { tableId, rowId, operation, record });
+
+  log.info('Synced captured change', { operation, tableId, rowId });
+
+  return {
+    status: 'success',
+    operation,
+    rowId,
+    newVersion,
+    captured: true,
+  };
+};
+
+/**
+ * Row Identity - sheet events carry a physical row number, which is
+ * translated to the record's primary key through the row map
+ */
+const resolveRowIdentity = async (event) => {
+  if (event.source !== 'SHEET') return event;
+
+  const { sheetName, sheetRow } = event.metadata;
+  const mapping = getMappingForSheet(sheetName);
+  const rowId = await resolveRecordId(mapping, sheetRow, event.rowId);
+  notePlanStep('resolve_row', { sheetName, sheetRow, rowId });
+
+  return { ...event, rowId };
+};
+
 /**
  * Idempotency Check
  */
@@ -58,37 +453,92 @@ const isStaleUpdate = (currentRecord, event) => {
 };
 
 /**
- * Loop Prevention - ignore if source matches last updated source
+ * Loop Prevention - ignore an event that repeats the last write from its
+ * own source: same source and every value already in place. A new edit
+ * from the same source (two dashboard saves in a row, a revert) still applies.
  */
-const shouldIgnoreLoopback = (currentRecord, source) => {
-  return currentRecord.source === source && currentRecord.source !== 'MANUAL';
+const shouldIgnoreLoopback = (currentRecord, event) => {
+  if (
+    event.operation !== 'UPDATE' ||
+    currentRecord.source !== event.source ||
+    currentRecord.source === 'MANUAL'
+  ) {
+    return false;
+  }
+  return Object.entries(event.changes).every(
+    ([field, value]) => String(currentRecord[field] ?? '') === String(value ?? ''),
+  );
 };
 
 /**
- * Conflict Detection - check if values differ significantly
+ * Conflict Detection - a field conflicts only when both sides edited it: its
+ * stored value moved since the sender last saw it, to something other than
+ * what the sender now sends. What the sender saw comes from
+ * metadata.oldValue (a single sheet cell) or metadata.oldValues
+ * ({ field: value }, e.g. dashboard edits). An event that carries a version
+ * and was not stale was made on top of the current record. Anything else
+ * has nothing to compare against and simply applies.
  */
 const detectConflict = (currentRecord, event) => {
-  const changedFields = Object.keys(event.changes);
+  if (event.version) return null;
+
+  const seenValues = getSeenValues(event);
+  if (!seenValues) return null;
+
   const conflicts = [];
 
-  for (const field of changedFields) {
+  for (const [field, incomingValue] of Object.entries(event.changes)) {
+    const currentValue = currentRecord[field];
+    if (currentValue === undefined || !Object.hasOwn(seenValues, field)) continue;
+
     if (
-      currentRecord[field] !== undefined &&
-      currentRecord[field] !== event.changes[field]
+      !isSameValue(currentValue, seenValues[field]) &&
+      !isSameValue(currentValue, incomingValue)
     ) {
-      conflicts.push({
-        field,
-        currentValue: currentRecord[field],
-        incomingValue: event.changes[field],
-      });
+      conflicts.push({ field, currentValue, incomingValue, seenValue: seenValues[field] });
     }
   }
 
   return conflicts.length > 0 ? conflicts : null;
 };
 
+// Values the sender had before its edit, by field - null when unknown
+const getSeenValues = (event) => {
+  const { metadata = {} } = event;
+  if (metadata.oldValues && typeof metadata.oldValues === 'object') {
+    return metadata.oldValues;
+  }
+
+  // The Apps Script sends null for a cell that was empty; undefined means
+  // the sender did not say
+  const fields = Object.keys(event.changes);
+  if (metadata.oldValue !== undefined && fields.length === 1) {
+    return { [fields[0]]: metadata.oldValue };
+  }
+  return null;
+};
+
+// Sheet cells arrive as text and DECIMAL columns come back as strings, so
+// values are compared by meaning rather than JS type
+const isSameValue = (a, b) => {
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (Number.isFinite(numberA) && Number.isFinite(numberB)) {
+    return numberA === numberB;
+  }
+  return String(a) === String(b);
+};
+
 /**
- * Conflict Resolution - apply strategy
+ * Conflict Resolution - apply the configured strategy per field
+ * Fields under the MANUAL strategy are held as pending conflicts
  */
 export const resolveConflict = async (
   tableId,
@@ -96,32 +546,80 @@ export const resolveConflict = async (
   event,
   conflicts,
 ) => {
-  const strategy = CONFLICT_STRATEGIES.LAST_WRITE_WINS;
+  const rowId = currentRecord[getKeyField(tableId)];
   const resolvedChanges = {};
+  const resolved = [];
+  const held = [];
 
   for (const conflict of conflicts) {
-    if (strategy === CONFLICT_STRATEGIES.LAST_WRITE_WINS) {
-      // Incoming wins if timestamp is newer
-      if (
-        event.timestamp &&
-        new Date(event.timestamp) > new Date(currentRecord.updated_at)
-      ) {
-        resolvedChanges[conflict.field] = conflict.incomingValue;
-      } else {
-        resolvedChanges[conflict.field] = conflict.currentValue;
-      }
+    const config = getFieldStrategy(tableId, conflict.field);
+
+    if (config.strategy === CONFLICT_STRATEGIES.MANUAL) {
+      held.push({ ...conflict, strategy: config.strategy });
+      continue;
     }
+
+    resolvedChanges[conflict.field] = resolveFieldConflict(config, conflict, {
+      tableId,
+      currentRecord,
+      event,
+    });
+    resolved.push({ ...conflict, strategy: config.strategy });
   }
 
+  notePlanStep('conflict', {
+    tableId,
+    rowId,
+    conflicts: [...resolved, ...held],
+    resolvedValues: resolvedChanges,
+    heldFields: held.map((conflict) => conflict.field),
+  });
+
   // Log conflict
-  await logConflict(tableId, currentRecord.id, conflicts, resolvedChanges);
+  if (resolved.length > 0) {
+    await logConflict(tableId, rowId, event, resolved, resolvedChanges);
+  }
+
+  const conflictIds =
+    held.length > 0 ? await logConflict(tableId, rowId, event, held, null) : [];
 
   // Apply resolved changes
-  return await applyUpdate(
-    tableId,
-    currentRecord,
-    { ...event, changes: resolvedChanges },
-  );
+  const applied =
+    resolved.length > 0
+      ? await applyUpdate(tableId, currentRecord, {
+          ...event,
+          changes: resolvedChanges,
+        })
+      : null;
+
+  // The sheet still shows the value that lost - put the winner back
+  if (event.source === 'SHEET') {
+    const overruled = Object.fromEntries(
+      resolved
+        .filter((conflict) => resolvedChanges[conflict.field] !== conflict.incomingValue)
+        .map((conflict) => [conflict.field, resolvedChanges[conflict.field]]),
+    );
+    if (Object.keys(overruled).length > 0) {
+      await queueCellUpdates(tableId, rowId, overruled);
+    }
+  }
+
+  if (held.length === 0) {
+    return applied;
+  }
+
+  const heldFields = held.map((conflict) => conflict.field);
+
+  log.info('Holding conflicts for manual resolution', { tableId, rowId, fields: heldFields });
+
+  return {
+    status: 'pending',
+    reason: 'manual_resolution_required',
+    rowId,
+    heldFields,
+    conflictIds,
+    applied,
+  };
 };
 
 /**
@@ -130,7 +628,12 @@ export const resolveConflict = async (
 export const applyUpdate = async (tableId, currentRecord, event) => {
   const { source, changes, operation } = event;
 
+  await assertTable(tableId);
+
   if (operation === 'UPDATE') {
+    await assertWritableFields(tableId, Object.keys(changes));
+    notePlanStep('apply', { tableId, rowId: currentRecord[getKeyField(tableId)], changes });
+
     const updatedRecord = {
       ...currentRecord,
       ...changes,
@@ -140,39 +643,93 @@ export const applyUpdate = async (tableId, currentRecord, event) => {
     };
 
     const setClauses = Object.keys(changes)
-      .map((key) => `${key} = ?`)
+      .map((key) => `${quoteIdentifier(key)} = ?`)
       .join(', ');
 
-    const values = [...Object.values(changes), source, updatedRecord.version, currentRecord.id];
+    const keyField = getKeyField(tableId);
+    const values = [
+      ...Object.values(changes),
+      source,
+      updatedRecord.version,
+      currentRecord[keyField],
+      currentRecord.version,
+    ];
 
+    // Only applies if nobody bumped the version since currentRecord was read
     const sql = `
-      UPDATE ${tableId}
+      UPDATE ${quoteIdentifier(tableId)}
       SET ${setClauses}, source = ?, version = ?, updated_at = NOW()
-      WHERE id = ?
+      WHERE ${quoteIdentifier(keyField)} = ? AND version <=> ?
     `;
 
-    const result = await executeUpdate(sql, values);
+    const result = await executeUpdateChecked(tableId, sql, values, changes);
+    if (result.affectedRows === 0) {
+      throw new VersionConflictError(tableId, currentRecord[keyField], currentRecord.version);
+    }
+
+    await recordChange(tableId, currentRecord[keyField], 'UPDATE', {
+      oldValue: Object.fromEntries(Object.keys(changes).map((key) => [key, currentRecord[key]])),
+      newValue: changes,
+      source,
+      revertOf: event.metadata?.revertOf,
+    });
 
-    console.log(`[SYNC] Applied update to ${tableId} row ${currentRecord.id}`);
+    log.info('Applied update', { source, tableId, rowId: currentRecord[keyField] });
+
+    // Changes that did not come from the sheet are written back to it
+    if (source !== 'SHEET') {
+      await queueCellUpdates(tableId, currentRecord[keyField], changes);
+    }
+    publish(STREAM_EVENTS.ROW, {
+      tableId,
+      rowId: currentRecord[keyField],
+      operation: 'UPDATE',
+      record: updatedRecord,
+    });
 
     return {
       status: 'success',
       operation: 'UPDATE',
-      rowId: currentRecord.id,
+      rowId: currentRecord[keyField],
       newVersion: updatedRecord.version,
     };
   }
 
   if (operation === 'DELETE') {
-    const sql = `DELETE FROM ${tableId} WHERE id = ?`;
-    await executeUpdate(sql, [currentRecord.id]);
+    const keyField = getKeyField(tableId);
+    notePlanStep('delete', { tableId, rowId: currentRecord[keyField] });
+    const sql = `DELETE FROM ${quoteIdentifier(tableId)}
+      WHERE ${quoteIdentifier(keyField)} = ? AND version <=> ?`;
+    const result = await executeUpdate(sql, [currentRecord[keyField], currentRecord.version]);
+    if (result.affectedRows === 0) {
+      throw new VersionConflictError(tableId, currentRecord[keyField], currentRecord.version);
+    }
 
-    console.log(`[SYNC] Deleted from ${tableId} row ${currentRecord.id}`);
+    await recordChange(tableId, currentRecord[keyField], 'DELETE', {
+      oldValue: currentRecord,
+      source,
+      revertOf: event.metadata?.revertOf,
+    });
+
+    if (source !== 'SHEET') {
+      // The writer removes the sheet row and then forgets it
+      await queueDelete(tableId, currentRecord[keyField]);
+    } else {
+      await forgetRecord(tableId, currentRecord[keyField]);
+    }
+
+    publish(STREAM_EVENTS.ROW, {
+      tableId,
+      rowId: currentRecord[keyField],
+      operation: 'DELETE',
+    });
+
+    log.info('Deleted row', { source, tableId, rowId: currentRecord[keyField] });
 
     return {
       status: 'success',
       operation: 'DELETE',
-      rowId: currentRecord.id,
+      rowId: currentRecord[keyField],
     };
   }
 
@@ -182,32 +739,61 @@ export const applyUpdate = async (tableId, currentRecord, event) => {
 /**
  * Insert New Record
  */
-const insertRecord = async (tableId, data) => {
-  const columns = Object.keys(data).join(', ');
+export const insertRecord = async (tableId, data, source, metadata = {}) => {
+  await assertWritableFields(tableId, Object.keys(data));
+  notePlanStep('insert', { tableId, changes: data });
+
+  const columns = Object.keys(data).map(quoteIdentifier).join(', ');
   const placeholders = Object.keys(data)
     .map(() => '?')
     .join(', ');
 
-  const sql = `INSERT INTO ${tableId} (${columns}, source, version) VALUES (${placeholders}, ?, ?)`;
-  const values = [...Object.values(data), 'SHEET', 1];
+  const sql = `INSERT INTO ${quoteIdentifier(tableId)} (${columns}, source, version) VALUES (${placeholders}, ?, ?)`;
+  const values = [...Object.values(data), source, 1];
+
+  const result = await executeUpdateChecked(tableId, sql, values, data);
+  const rowId = data[getKeyField(tableId)] ?? result.insertId;
 
-  const result = await executeUpdate(sql, values);
+  log.info('Inserted row', { source, tableId, rowId });
 
-  console.log(`[SYNC] Inserted into ${tableId}`);
+  const record = await getRecord(tableId, rowId);
+  await recordChange(tableId, rowId, 'INSERT', {
+    newValue: record,
+    source,
+    revertOf: metadata.revertOf,
+  });
+
+  if (source !== 'SHEET') {
+    await queueAppend(tableId, record);
+  }
+  publish(STREAM_EVENTS.ROW, { tableId, rowId, operation: 'INSERT', record });
 
   return {
     status: 'success',
     operation: 'INSERT',
-    rowId: result.insertId,
+    rowId,
     newVersion: 1,
   };
 };
 
+// A duplicate unique value surfaces as the validation error, not a DB error
+const executeUpdateChecked = async (tableId, sql, values, changes) => {
+  try {
+    return await executeUpdate(sql, values);
+  } catch (error) {
+    throw await toDuplicateError(tableId, error, changes);
+  }
+};
+
 /**
  * Get Record by ID
+ * forUpdate locks the row until the surrounding transaction ends
  */
-export const getRecord = async (tableId, rowId) => {
-  const sql = `SELECT * FROM ${tableId} WHERE id = ? LIMIT 1`;
+export const getRecord = async (tableId, rowId, { forUpdate = false } = {}) => {
+  await assertTable(tableId);
+
+  const sql = `SELECT * FROM ${quoteIdentifier(tableId)}
+    WHERE ${quoteIdentifier(getKeyField(tableId))} = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`;
   const results = await executeQuery(sql, [rowId]);
   return results[0] || null;
 };
@@ -216,49 +802,133 @@ export const getRecord = async (tableId, rowId) => {
  * Get All Records (for UI)
  */
 export const getAllRecords = async (tableId) => {
-  const sql = `SELECT * FROM ${tableId} ORDER BY id ASC`;
+  await assertTable(tableId);
+
+  const sql = `SELECT * FROM ${quoteIdentifier(tableId)}
+    ORDER BY ${quoteIdentifier(getKeyField(tableId))} ASC`;
   return await executeQuery(sql);
 };
 
 /**
  * Log Conflict for Audit Trail
+ * Each conflict carries the strategy that handled it; pending (manual)
+ * conflicts are stored without resolved_value/resolved_at
  */
 const logConflict = async (
   tableId,
   rowId,
+  event,
   conflicts,
   resolvedChanges,
 ) => {
+  const pending = resolvedChanges === null;
   const sql = `
     INSERT INTO sync_conflicts
-    (table_name, row_id, sheet_value, db_value, resolved_value, resolution_strategy, resolved_at)
-    VALUES (?, ?, ?, ?, ?, ?, NOW())
+    (table_name, row_id, field_name, event_source, sheet_value, db_value,
+     resolved_value, resolution_strategy, status, correlation_id, resolved_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${pending ? 'NULL' : 'NOW()'})
   `;
+  const correlationId = event.correlationId ?? getCorrelationId();
+  const conflictIds = [];
 
   for (const conflict of conflicts) {
-    await executeUpdate(sql, [
+    // The incoming value belongs to whichever side sent the event
+    const fromSheet = event.source === 'SHEET';
+    const sheetValue = fromSheet ? conflict.incomingValue : conflict.currentValue;
+    const dbValue = fromSheet ? conflict.currentValue : conflict.incomingValue;
+
+    const result = await executeUpdate(sql, [
       tableId,
       rowId,
-      JSON.stringify(conflict.incomingValue),
-      JSON.stringify(conflict.currentValue),
-      JSON.stringify(resolvedChanges[conflict.field]),
-      CONFLICT_STRATEGIES.LAST_WRITE_WINS,
+      conflict.field,
+      event.source,
+      JSON.stringify(sheetValue),
+      JSON.stringify(dbValue),
+      pending ? null : JSON.stringify(resolvedChanges[conflict.field]),
+      conflict.strategy,
+      pending ? 'PENDING' : 'RESOLVED',
+      correlationId,
     ]);
+    conflictIds.push(result.insertId);
+    // Not counted if a version retry rolls the transaction back
+    afterCommit(() =>
+      recordConflict(tableId, conflict.field, pending ? 'PENDING' : 'RESOLVED'),
+    );
   }
+
+  publish(STREAM_EVENTS.CONFLICT, {
+    tableId,
+    rowId,
+    conflictIds,
+    status: pending ? 'PENDING' : 'RESOLVED',
+  });
+
+  return conflictIds;
 };
 
 /**
  * Log Webhook for Audit
+ * Structured error details (e.g. field errors of a rejected event) are kept
+ * in error_details. Source, table and row come from the parsed event when
+ * there is one, otherwise from the raw payload, so the log can be filtered.
+ * The correlation id ties the RECEIVED, PROCESSED/ERROR rows and conflicts
+ * of one delivery together.
  */
-export const logWebhookAudit = async (payload, status, error = null) => {
+export const logWebhookAudit = async (payload, status, error = null, event = null) => {
+  const { source, tableId, rowId } = event ? describeEvent(event) : describePayload(payload);
+  const correlationId = event?.correlationId ?? getCorrelationId();
+
   const sql = `
-    INSERT INTO webhook_audit (payload, status, error_message)
-    VALUES (?, ?, ?)
+    INSERT INTO webhook_audit
+    (payload, status, error_message, error_details, source, table_name, row_id, correlation_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
-  await executeUpdate(sql, [
+  const result = await executeUpdate(sql, [
     JSON.stringify(payload),
     status,
     error ? error.message : null,
+    error?.details ? JSON.stringify(error.details) : null,
+    source,
+    tableId,
+    rowId === null ? null : String(rowId),
+    correlationId,
   ]);
+
+  publish(STREAM_EVENTS.AUDIT, {
+    id: result.insertId,
+    payload,
+    status,
+    source,
+    table_name: tableId,
+    row_id: rowId === null ? null : String(rowId),
+    error_message: error ? error.message : null,
+    error_details: error?.details || null,
+    correlation_id: correlationId,
+    created_at: new Date().toISOString(),
+  });
+};
+
+const describeEvent = (event) => ({
+  source: event.metadata?.captured ? 'DB_CAPTURE' : event.source,
+  tableId: event.tableId ?? null,
+  rowId: event.rowId ?? null,
+});
+
+const describePayload = (payload) => {
+  if (payload?.capturedChange) {
+    return { source: 'DB_CAPTURE', tableId: null, rowId: null };
+  }
+  if (payload?.sheetName) {
+    return {
+      source: 'SHEET',
+      tableId: getMappingForSheet(payload.sheetName)?.table ?? null,
+      rowId: payload.rowKey ?? null,
+    };
+  }
+  return {
+    source: payload?.tableId ? 'DB' : null,
+    tableId: typeof payload?.tableId === 'string' ? payload.tableId : null,
+    rowId: payload?.rowId ?? null,
+  };
 };
@@ -0,0 +1,62 @@
+import { executeQuery } from '../config/database.js';
+import { getQueueStats } from './eventQueue.js';
+import { STREAM_EVENTS, publish, subscribe, getSubscriberCount } from './eventBus.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('status');
+
+const BROADCAST_THROTTLE_MS = parseInt(process.env.STATUS_BROADCAST_MS || '1000', 10);
+
+/**
+ * Dashboard status counters (GET /sync/status)
+ */
+export const getSyncStatus = async () => {
+  const [userCount] = await executeQuery(
+    `SELECT COUNT(*) as count FROM users`,
+  );
+  const [conflictCount] = await executeQuery(
+    `SELECT COUNT(*) as count FROM sync_conflicts WHERE resolved_at IS NULL`,
+  );
+  const [logCount] = await executeQuery(
+    `SELECT COUNT(*) as count FROM webhook_audit WHERE status = 'PROCESSED'`,
+  );
+  const queue = await getQueueStats();
+
+  return {
+    totalUsers: userCount.count,
+    unresolved_conflicts: conflictCount.count,
+    processed_webhooks: logCount.count,
+    queue_depth: queue.depth,
+    dead_letters: queue.dead,
+    timestamp: new Date().toISOString(),
+  };
+};
+
+let lastBroadcast = null;
+let broadcastTimer = null;
+
+/**
+ * Recompute the status after sync activity (at most once per
+ * STATUS_BROADCAST_MS) and publish it when any counter changed
+ */
+export const startStatusBroadcast = () => {
+  subscribe((message) => {
+    if (message.type === STREAM_EVENTS.STATUS || broadcastTimer) return;
+
+    // This listener is always subscribed - nobody else is listening
+    if (getSubscriberCount() <= 1) return;
+
+    broadcastTimer = setTimeout(async () => {
+      broadcastTimer = null;
+      try {
+        const { timestamp, ...counters } = await getSyncStatus();
+        if (JSON.stringify(counters) === lastBroadcast) return;
+
+        lastBroadcast = JSON.stringify(counters);
+        publish(STREAM_EVENTS.STATUS, { ...counters, timestamp });
+      } catch (error) {
+        log.error('Broadcast failed', { error: error.message });
+      }
+    }, BROADCAST_THROTTLE_MS);
+  });
+};
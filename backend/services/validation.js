@@ -0,0 +1,337 @@
+import { z } from 'zod';
+import { executeQuery } from '../config/database.js';
+import { getMappingForTable, getMappingForSheet, getKeyField } from './mappingRegistry.js';
+import { findRecordId } from './rowIdentity.js';
+import { assertTable, inferColumnType, quoteIdentifier } from './schemaRegistry.js';
+import { SyncError } from './errors.js';
+
+/**
+ * Column validation and type coercion
+ *
+ * Sheet values arrive as strings (or null), so each value is first coerced
+ * to its column type ("$1,200.50" → 1200.5) and then checked against the
+ * column's rules from the mapping config:
+ *   { required, min, max, minLength, maxLength, pattern, patternMessage, enum, integer }
+ * NOT NULL columns are required, VARCHAR lengths and UNIQUE keys apply even
+ * without explicit rules. The dashboard runs the same checks through
+ * POST /sync/validate, so it shows the same messages.
+ */
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+const toText = (value) => (typeof value === 'number' ? String(value) : value);
+
+const toNumber = (value) => {
+  if (typeof value !== 'string') return value;
+  const cleaned = value.replace(/[\s,$€£]/g, '');
+  return Number.isNaN(Number(cleaned)) ? value : Number(cleaned);
+};
+
+const toBoolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return value;
+};
+
+const toDate = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? value : new Date(time).toISOString().slice(0, 10);
+};
+
+const TYPES = {
+  text: {
+    coerce: (value) => (typeof value === 'string' ? value.trim() : toText(value)),
+    schema: (label) => z.string({ invalid_type_error: `${label} must be text` }),
+  },
+  email: {
+    coerce: (value) => (typeof value === 'string' ? value.trim() : value),
+    schema: (label) =>
+      z
+        .string({ invalid_type_error: `${label} must be text` })
+        .email(`${label} must be a valid email address`),
+  },
+  number: {
+    coerce: toNumber,
+    schema: (label) =>
+      z.number({ invalid_type_error: `${label} must be a number` }).finite(),
+  },
+  currency: {
+    coerce: toNumber,
+    schema: (label) =>
+      z.number({ invalid_type_error: `${label} must be an amount` }).finite(),
+  },
+  boolean: {
+    coerce: toBoolean,
+    schema: (label) => z.boolean({ invalid_type_error: `${label} must be yes or no` }),
+  },
+  date: {
+    coerce: toDate,
+    schema: (label) =>
+      z
+        .string({ invalid_type_error: `${label} must be a date` })
+        .regex(/^\d{4}-\d{2}-\d{2}$/, `${label} must be a date`),
+  },
+};
+
+/**
+ * zod schema for one column's non-empty values
+ */
+const buildFieldSchema = (column, dbColumn) => {
+  const { label } = column;
+  const rules = column.rules || {};
+  let schema = TYPES[column.type].schema(label);
+
+  if (schema instanceof z.ZodString) {
+    const maxLength = rules.maxLength ?? dbColumn?.maxLength;
+    if (rules.minLength !== undefined) {
+      schema = schema.min(rules.minLength, `${label} must be at least ${rules.minLength} characters`);
+    }
+    if (maxLength) {
+      schema = schema.max(maxLength, `${label} must be at most ${maxLength} characters`);
+    }
+    if (rules.pattern) {
+      schema = schema.regex(
+        new RegExp(rules.pattern),
+        rules.patternMessage || `${label} has an invalid format`,
+      );
+    }
+  }
+
+  if (schema instanceof z.ZodNumber) {
+    if (rules.integer) {
+      schema = schema.int(`${label} must be a whole number`);
+    }
+    if (rules.min !== undefined) {
+      schema = schema.min(rules.min, `${label} must be at least ${rules.min}`);
+    }
+    if (rules.max !== undefined) {
+      schema = schema.max(rules.max, `${label} must be at most ${rules.max}`);
+    }
+  }
+
+  if (Array.isArray(rules.enum)) {
+    schema = schema.refine(
+      (value) => rules.enum.includes(value),
+      `${label} must be one of: ${rules.enum.join(', ')}`,
+    );
+  }
+
+  return schema;
+};
+
+const describeColumn = (mapping, field, dbColumn) => {
+  const column = mapping?.columns.find((col) => col.field === field);
+  return {
+    field,
+    label: column?.label || field,
+    type: TYPES[column?.type] ? column.type : inferColumnType(dbColumn),
+    rules: column?.rules || {},
+  };
+};
+
+/**
+ * Validate and coerce the changes for one record
+ * Returns { values, fieldErrors: [{ field, label, value, message }] }
+ */
+export const validateChanges = async (tableId, changes, { rowId = null, operation = 'UPDATE' } = {}) => {
+  const dbColumns = await assertTable(tableId);
+  const mapping = getMappingForTable(tableId);
+  const keyField = getKeyField(tableId);
+  const values = {};
+  const fieldErrors = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    const dbColumn = dbColumns.get(field);
+    const column = describeColumn(mapping, field, dbColumn);
+    const required = column.rules.required ?? (dbColumn ? !dbColumn.nullable : false);
+
+    if (isBlank(value)) {
+      if (required) {
+        fieldErrors.push({ field, label: column.label, value, message: `${column.label} is required` });
+      } else {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    const parsed = buildFieldSchema(column, dbColumn).safeParse(
+      TYPES[column.type].coerce(value),
+    );
+    if (!parsed.success) {
+      fieldErrors.push({
+        field,
+        label: column.label,
+        value,
+        message: parsed.error.issues[0].message,
+      });
+      continue;
+    }
+
+    // An UPDATE whose record is not known yet cannot exclude itself; the
+    // table's unique index still guards it when it is applied
+    if (dbColumn?.unique && !(operation === 'UPDATE' && rowId === null)) {
+      const [taken] = await executeQuery(
+        `SELECT ${quoteIdentifier(keyField)} AS id FROM ${quoteIdentifier(tableId)}
+         WHERE ${quoteIdentifier(field)} = ?${rowId !== null ? ` AND ${quoteIdentifier(keyField)} <> ?` : ''}
+         LIMIT 1`,
+        rowId !== null ? [parsed.data, rowId] : [parsed.data],
+      );
+      if (taken) {
+        fieldErrors.push({
+          field,
+          label: column.label,
+          value,
+          message: `${column.label} "${parsed.data}" is already used by row ${taken.id}`,
+        });
+        continue;
+      }
+    }
+
+    values[field] = parsed.data;
+  }
+
+  // A new record needs every required mapped column
+  if (operation === 'INSERT') {
+    for (const column of mapping?.columns || []) {
+      const dbColumn = dbColumns.get(column.field);
+      const required =
+        column.rules?.required ?? (dbColumn ? !dbColumn.nullable && !dbColumn.autoIncrement : false);
+      if (required && !(column.field in changes) && column.field !== keyField) {
+        fieldErrors.push({
+          field: column.field,
+          label: column.label,
+          value: null,
+          message: `${column.label} is required`,
+        });
+      }
+    }
+  }
+
+  return { values, fieldErrors };
+};
+
+/**
+ * Validate an event before it is queued, returning it with coerced values
+ * Throws a 400 SyncError whose details carry the field errors (with the
+ * sheet row for range edits)
+ */
+export const validateEvent = async (event) => {
+  if (event.operation === 'DELETE' || event.metadata?.captured) {
+    return event;
+  }
+
+  if (event.operation === 'BATCH') {
+    const fieldErrors = [];
+    const rows = [];
+
+    for (const row of event.rows) {
+      const result = await validateChanges(
+        event.tableId,
+        row.changes,
+        await identifyRow(event, row.newRow ? 'INSERT' : 'UPDATE', row.rowId, row.sheetRow),
+      );
+      fieldErrors.push(...result.fieldErrors.map((error) => ({ ...error, row: row.sheetRow })));
+      rows.push({
+        ...row,
+        changes: result.values,
+        cells: row.cells.map((cell) => ({ ...cell, value: result.values[cell.field] })),
+      });
+    }
+
+    throwIfInvalid(fieldErrors);
+    return { ...event, rows };
+  }
+
+  const changes = await assertValidChanges(
+    event.tableId,
+    event.changes,
+    await identifyRow(event, event.operation, event.rowId, event.metadata?.sheetRow),
+  );
+
+  return { ...event, changes };
+};
+
+/**
+ * Record and operation to validate against: sheet edits often come without
+ * the row's key, and the row map says which record the row holds, so
+ * saving its own unique value is not a duplicate. A key-less sheet INSERT
+ * of a row that already created a record (its key was not written back
+ * yet) is applied as an UPDATE of that record, and validated as one.
+ */
+const identifyRow = async (event, operation, rowId, sheetRow) => {
+  if (rowId !== null && rowId !== undefined) return { rowId, operation };
+  if (event.source !== 'SHEET' || !sheetRow) return { rowId: null, operation };
+
+  const mapping = getMappingForSheet(event.metadata.sheetName);
+  const recordId = mapping ? await findRecordId(mapping, sheetRow) : null;
+  if (recordId === null) return { rowId: null, operation };
+
+  return { rowId: recordId, operation: 'UPDATE' };
+};
+
+/**
+ * Coerced values for one record, or a 400 SyncError with the field errors
+ */
+export const assertValidChanges = async (tableId, changes, options) => {
+  const { values, fieldErrors } = await validateChanges(tableId, changes, options);
+  throwIfInvalid(fieldErrors);
+  return values;
+};
+
+/**
+ * A write refused by the table's unique index (the value was taken after
+ * validation, e.g. by a concurrent edit) as the 400 the unique check gives,
+ * so the queue does not retry it. Any other error is returned unchanged.
+ */
+export const toDuplicateError = async (tableId, error, changes) => {
+  if (error.code !== 'ER_DUP_ENTRY') return error;
+
+  const dbColumns = await assertTable(tableId);
+  const keyField = getKeyField(tableId);
+  // "Duplicate entry 'x' for key 'users.email'" (older servers omit the table)
+  const indexName = /for key '(?:[^'.]*\.)?([^']+)'/.exec(error.message)?.[1];
+  const field =
+    indexName === 'PRIMARY'
+      ? keyField
+      : Object.hasOwn(changes, indexName)
+        ? indexName
+        : Object.keys(changes).find((name) => dbColumns.get(name)?.unique);
+  if (!field || !Object.hasOwn(changes, field)) return error;
+
+  const value = changes[field];
+  const { label } = describeColumn(getMappingForTable(tableId), field, dbColumns.get(field));
+  const [taken] = await executeQuery(
+    `SELECT ${quoteIdentifier(keyField)} AS id FROM ${quoteIdentifier(tableId)}
+     WHERE ${quoteIdentifier(field)} = ? LIMIT 1`,
+    [value],
+  );
+
+  const duplicate = buildValidationError([
+    {
+      field,
+      label,
+      value,
+      message: `${label} "${value}" is already used by ${taken ? `row ${taken.id}` : 'another row'}`,
+    },
+  ]);
+  duplicate.retryable = false;
+  return duplicate;
+};
+
+const throwIfInvalid = (fieldErrors) => {
+  if (fieldErrors.length === 0) return;
+  throw buildValidationError(fieldErrors);
+};
+
+const buildValidationError = (fieldErrors) =>
+  new SyncError(
+    `Validation failed: ${fieldErrors
+      .map((error) => (error.row ? `row ${error.row}: ${error.message}` : error.message))
+      .join('; ')}`,
+    400,
+    { fieldErrors },
+  );
@@ -0,0 +1,69 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+
+/**
+ * Webhook signing
+ *
+ * Senders sign `${timestamp}.${rawBody}` with HMAC-SHA256 and send
+ *   X-Sync-Timestamp: <unix seconds>
+ *   X-Sync-Signature: sha256=<hex digest>
+ *
+ * Several secrets can be active at once so they can be rotated without
+ * downtime: add the new secret, move the senders over, drop the old one.
+ * Secrets come from WEBHOOK_SECRETS (comma-separated) or, when set,
+ * WEBHOOK_SECRETS_FILE (one per line), which is re-read when it changes.
+ * The first secret is the one used for signing.
+ */
+
+let fileCache = { path: null, mtimeMs: 0, secrets: [] };
+
+export const getWebhookSecrets = () => {
+  const filePath = process.env.WEBHOOK_SECRETS_FILE;
+
+  if (filePath) {
+    const { mtimeMs } = statSync(filePath);
+    if (fileCache.path !== filePath || fileCache.mtimeMs !== mtimeMs) {
+      fileCache = {
+        path: filePath,
+        mtimeMs,
+        secrets: splitSecrets(readFileSync(filePath, 'utf8'), /\r?\n/),
+      };
+    }
+    return fileCache.secrets;
+  }
+
+  return splitSecrets(process.env.WEBHOOK_SECRETS || '', ',');
+};
+
+const splitSecrets = (value, separator) =>
+  value
+    .split(separator)
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+
+export const signPayload = (rawBody, secret, timestamp) =>
+  createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+/**
+ * Headers for a signed request, for Node callers of /db/webhook
+ */
+export const buildSignatureHeaders = (
+  rawBody,
+  secret = getWebhookSecrets()[0],
+  timestamp = Math.floor(Date.now() / 1000),
+) => ({
+  'X-Sync-Timestamp': String(timestamp),
+  'X-Sync-Signature': `sha256=${signPayload(rawBody, secret, timestamp)}`,
+});
+
+/**
+ * True if the signature matches any active secret
+ */
+export const isValidSignature = (rawBody, signature, timestamp, secrets) => {
+  const provided = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+
+  return secrets.some((secret) => {
+    const expected = Buffer.from(signPayload(rawBody, secret, timestamp), 'hex');
+    return expected.length === provided.length && timingSafeEqual(expected, provided);
+  });
+};
@@ -1,20 +1,29 @@
+import { useState } from "react";
 import DataTable from "./components/DataTable";
+import TablePicker from "./components/TablePicker";
 import SyncStatus from "./components/SyncStatus";
 import WebhookLog from "./components/WebhookLog";
 import ConflictLog from "./components/ConflictLog";
+import EventComposer from "./components/EventComposer";
 import "./App.css";
 
+const API_URL = import.meta.env.VITE_API_URL || "";
+
 function App() {
+  const [tableId, setTableId] = useState("users");
+
   return (
     <div className="p-6">
       <h1 className="text-3xl font-bold mb-6">
         Google Sheet ↔ MySQL Sync UI
       </h1>
 
-      <SyncStatus />
-      <DataTable />
-      <WebhookLog />
-      <ConflictLog />
+      <SyncStatus apiUrl={API_URL} />
+      <TablePicker apiUrl={API_URL} value={tableId} onChange={setTableId} />
+      <DataTable apiUrl={API_URL} tableId={tableId} />
+      <WebhookLog apiUrl={API_URL} />
+      <ConflictLog apiUrl={API_URL} />
+      <EventComposer apiUrl={API_URL} tableId={tableId} />
     </div>
   );
 }
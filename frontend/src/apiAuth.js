@@ -0,0 +1,51 @@
+import axios from 'axios';
+
+const TOKEN_KEY = 'syncApiToken';
+
+// The prompt on screen - requests refused together share it
+let tokenPrompt = null;
+
+export function getApiToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+function promptForToken(message) {
+  if (!tokenPrompt) {
+    tokenPrompt = Promise.resolve().then(() => {
+      const token = window.prompt(`${message} - enter the API token to continue`);
+      if (token) {
+        localStorage.setItem(TOKEN_KEY, token.trim());
+      }
+      tokenPrompt = null;
+      return token;
+    });
+  }
+  return tokenPrompt;
+}
+
+/**
+ * Send the API token (API_TOKENS on the backend) with every dashboard
+ * request. Actions that change data and reads that return records answer
+ * 401 without it: the user is asked for the token once, it is kept in this
+ * browser and the request is retried.
+ */
+export function installApiAuth() {
+  axios.interceptors.request.use((config) => {
+    const token = getApiToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(undefined, (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.authRetried) {
+      return Promise.reject(error);
+    }
+
+    return promptForToken(response.data?.message || 'Unauthorized').then((token) =>
+      token ? axios({ ...config, authRetried: true }) : Promise.reject(error),
+    );
+  });
+}
@@ -2,30 +2,103 @@
 
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useSyncStream } from '../hooks/useSyncStream';
+import { usePagedLog } from '../hooks/usePagedLog';
 import './ConflictLog.css';
 
+const EMPTY_FILTERS = {
+  status: '',
+  source: '',
+  table: '',
+  rowId: '',
+  field: '',
+  correlationId: '',
+  from: '',
+  to: '',
+  q: '',
+};
+
 function ConflictLog({ apiUrl }) {
-  const [conflicts, setConflicts] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [customValues, setCustomValues] = useState({});
+  const [resolvingId, setResolvingId] = useState(null);
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const {
+    items: conflicts,
+    total,
+    loading,
+    error: fetchError,
+    hasMore,
+    reload: fetchConflicts,
+    sentinelRef,
+  } = usePagedLog(`${apiUrl}/sync/conflicts`, filters);
+  const error = actionError || (fetchError && `Failed to fetch conflicts: ${fetchError}`);
 
+  // Re-fetch only when a conflict is logged or resolved
+  const streamConnected = useSyncStream(apiUrl, {
+    conflict: () => fetchConflicts(),
+  });
+
+  // Poll the first page only while the live stream is down
   useEffect(() => {
-    fetchConflicts();
+    if (streamConnected) return undefined;
     const interval = setInterval(fetchConflicts, 3000);
     return () => clearInterval(interval);
-  }, []);
+  }, [streamConnected, fetchConflicts]);
+
+  const updateDraft = (name, value) => {
+    setDraftFilters((current) => ({ ...current, [name]: value }));
+  };
+
+  // Date inputs are local time; the API gets them as ISO timestamps
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setFilters({
+      ...draftFilters,
+      from: draftFilters.from && new Date(draftFilters.from).toISOString(),
+      to: draftFilters.to && new Date(draftFilters.to).toISOString(),
+    });
+  };
 
-  const fetchConflicts = async () => {
+  const clearFilters = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const resolveConflict = async (conflict, resolution) => {
     try {
-      setLoading(true);
-      const response = await axios.get(`${apiUrl}/sync/conflicts`);
-      setConflicts(response.data.data || []);
-      setError(null);
+      setResolvingId(conflict.id);
+      await axios.post(`${apiUrl}/sync/conflicts/${conflict.id}/resolve`, {
+        resolution,
+        value: resolution === 'custom' ? customValues[conflict.id] : undefined,
+      });
+      setActionError(null);
+      fetchConflicts();
     } catch (err) {
-      setError('Failed to fetch conflicts');
+      setActionError(err.response?.data?.message || 'Failed to resolve conflict');
       console.error(err);
     } finally {
-      setLoading(false);
+      setResolvingId(null);
+    }
+  };
+
+  const pendingIds = conflicts.filter((c) => c.status === 'PENDING').map((c) => c.id);
+
+  // Only the pending conflicts on screen (current filters, loaded pages) -
+  // never ones in other tables or behind a filter the user cannot see
+  const resolveShownPending = async (resolution) => {
+    try {
+      await axios.post(`${apiUrl}/sync/conflicts/resolve`, {
+        ids: pendingIds,
+        resolution,
+      });
+      setActionError(null);
+      fetchConflicts();
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Failed to resolve conflicts');
+      console.error(err);
     }
   };
 
@@ -37,25 +110,111 @@ function ConflictLog({ apiUrl }) {
     <div className="conflict-container">
       <div className="conflict-header">
         <h2>Sync Conflicts Log</h2>
-        <button className="refresh-btn" onClick={fetchConflicts}>
-          🔄 Refresh
-        </button>
+        <div className="conflict-header-actions">
+          {pendingIds.length > 0 && (
+            <>
+              <button className="resolve-btn" onClick={() => resolveShownPending('sheet')}>
+                Keep Sheet for shown ({pendingIds.length})
+              </button>
+              <button className="resolve-btn" onClick={() => resolveShownPending('db')}>
+                Keep DB for shown ({pendingIds.length})
+              </button>
+            </>
+          )}
+          <button className="refresh-btn" onClick={fetchConflicts}>
+            🔄 Refresh
+          </button>
+        </div>
       </div>
 
+      <form className="conflict-filters" onSubmit={applyFilters}>
+        <select value={draftFilters.status} onChange={(e) => updateDraft('status', e.target.value)}>
+          <option value="">All statuses</option>
+          <option value="PENDING">PENDING</option>
+          <option value="RESOLVED">RESOLVED</option>
+        </select>
+        <select value={draftFilters.source} onChange={(e) => updateDraft('source', e.target.value)}>
+          <option value="">All sources</option>
+          <option value="SHEET">SHEET</option>
+          <option value="DB">DB</option>
+        </select>
+        <input
+          type="text"
+          placeholder="Table"
+          value={draftFilters.table}
+          onChange={(e) => updateDraft('table', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Row id"
+          value={draftFilters.rowId}
+          onChange={(e) => updateDraft('rowId', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Field"
+          value={draftFilters.field}
+          onChange={(e) => updateDraft('field', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Correlation id"
+          value={draftFilters.correlationId}
+          onChange={(e) => updateDraft('correlationId', e.target.value)}
+        />
+        <input
+          type="datetime-local"
+          title="From"
+          value={draftFilters.from}
+          onChange={(e) => updateDraft('from', e.target.value)}
+        />
+        <input
+          type="datetime-local"
+          title="To"
+          value={draftFilters.to}
+          onChange={(e) => updateDraft('to', e.target.value)}
+        />
+        <input
+          type="search"
+          placeholder="Search values"
+          value={draftFilters.q}
+          onChange={(e) => updateDraft('q', e.target.value)}
+        />
+        <button type="submit" className="refresh-btn">
+          Apply
+        </button>
+        <button type="button" className="clear-btn" onClick={clearFilters}>
+          Clear
+        </button>
+        <span className="conflict-total">
+          {conflicts.length} of {total}
+        </span>
+      </form>
+
       {error && <div className="error-message">{error}</div>}
 
       {conflicts.length === 0 ? (
         <div className="empty-state">
-          <p>✅ No conflicts detected! System is in sync.</p>
+          <p>
+            {Object.values(filters).some(Boolean)
+              ? 'No conflicts match these filters.'
+              : '✅ No conflicts detected! System is in sync.'}
+          </p>
         </div>
       ) : (
         <div className="conflicts-list">
           {conflicts.map((conflict) => (
-            <div key={conflict.id} className="conflict-item">
+            <div
+              key={conflict.id}
+              className={`conflict-item ${conflict.status === 'PENDING' ? 'pending' : ''}`}
+            >
               <div className="conflict-header-info">
                 <span className="conflict-id">Conflict #{conflict.id}</span>
                 <span className="table-name">{conflict.table_name}</span>
                 <span className="row-id">Row {conflict.row_id}</span>
+                {conflict.field_name && (
+                  <span className="field-name">{conflict.field_name}</span>
+                )}
                 <span className="timestamp">
                   {new Date(conflict.created_at).toLocaleString()}
                 </span>
@@ -85,8 +244,52 @@ function ConflictLog({ apiUrl }) {
                     </span>
                   </div>
                 </div>
+
+                {conflict.correlation_id && (
+                  <div className="conflict-correlation">
+                    <small>
+                      Correlation: <code>{conflict.correlation_id}</code>
+                    </small>
+                  </div>
+                )}
               </div>
 
+              {conflict.status === 'PENDING' && (
+                <div className="conflict-actions">
+                  <button
+                    className="resolve-btn"
+                    disabled={resolvingId === conflict.id}
+                    onClick={() => resolveConflict(conflict, 'sheet')}
+                  >
+                    Keep Sheet
+                  </button>
+                  <button
+                    className="resolve-btn"
+                    disabled={resolvingId === conflict.id}
+                    onClick={() => resolveConflict(conflict, 'db')}
+                  >
+                    Keep DB
+                  </button>
+                  <input
+                    type="text"
+                    placeholder="Custom value"
+                    value={customValues[conflict.id] ?? ''}
+                    onChange={(e) =>
+                      setCustomValues({ ...customValues, [conflict.id]: e.target.value })
+                    }
+                  />
+                  <button
+                    className="resolve-btn"
+                    disabled={
+                      resolvingId === conflict.id || customValues[conflict.id] === undefined
+                    }
+                    onClick={() => resolveConflict(conflict, 'custom')}
+                  >
+                    Use Custom
+                  </button>
+                </div>
+              )}
+
               {conflict.resolved_at && (
                 <div className="conflict-resolved">
                   Resolved at{' '}
@@ -95,6 +298,11 @@ function ConflictLog({ apiUrl }) {
               )}
             </div>
           ))}
+          {hasMore && (
+            <div ref={sentinelRef} className="load-more">
+              Loading more...
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -2,109 +2,313 @@
 
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useSyncStream } from '../hooks/useSyncStream';
+import RowHistory from './RowHistory';
+import { newIdempotencyKey } from '../idempotencyKey';
 import './DataTable.css';
 
-function DataTable({ apiUrl }) {
-  const [users, setUsers] = useState([]);
+const INPUT_TYPES = {
+  number: 'number',
+  currency: 'number',
+  email: 'email',
+  date: 'date',
+};
+
+// editingId of the row being added, which has no key yet
+const NEW_ROW = '__new__';
+
+const formatValue = (column, value) => {
+  if (value === null || value === undefined) return '';
+  if (column.type === 'currency') return `$${parseFloat(value).toLocaleString()}`;
+  if (column.type === 'boolean') return value ? 'Yes' : 'No';
+  if (column.type === 'date') return String(value).slice(0, 10);
+  return value;
+};
+
+function DataTable({ apiUrl, tableId = 'users' }) {
+  const [table, setTable] = useState(null);
+  const [rows, setRows] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [editingId, setEditingId] = useState(null);
   const [editValues, setEditValues] = useState({});
+  // The row as it was when editing started - live updates change rows meanwhile
+  const [editBase, setEditBase] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [historyId, setHistoryId] = useState(null);
 
   useEffect(() => {
-    fetchUsers();
-    const interval = setInterval(fetchUsers, 2000); // Poll every 2 seconds
+    fetchTable();
+    setRows([]);
+    handleCancel();
+    setHistoryId(null);
+  }, [tableId]);
+
+  // Columns, input types and editability all come from the table metadata
+  const fetchTable = async () => {
+    try {
+      const response = await axios.get(`${apiUrl}/sync/tables`);
+      const tables = response.data.data || [];
+      setTable(tables.find((t) => t.table === tableId) || null);
+    } catch (err) {
+      setError('Failed to fetch table metadata');
+      console.error(err);
+    }
+  };
+
+  const columns = table ? table.columns : [];
+  const keyField = table ? table.keyField : 'id';
+  const editableFields = columns.filter((column) => column.editable).map((column) => column.field);
+
+  const isSameRow = (row, rowId) => String(row[keyField]) === String(rowId);
+
+  // Apply pushed row changes in place instead of re-fetching the table
+  const streamConnected = useSyncStream(apiUrl, {
+    row: (change) => {
+      if (change.tableId !== tableId) return;
+
+      if (change.operation === 'DELETE') {
+        setRows((current) => current.filter((row) => !isSameRow(row, change.rowId)));
+        return;
+      }
+
+      setRows((current) => {
+        if (!current.some((row) => isSameRow(row, change.rowId))) {
+          return [...current, change.record];
+        }
+        return current.map((row) =>
+          isSameRow(row, change.rowId) ? { ...row, ...change.record } : row,
+        );
+      });
+    },
+  });
+
+  // Poll every 2 seconds only while the live stream is down
+  useEffect(() => {
+    fetchRows();
+    if (streamConnected) return undefined;
+    const interval = setInterval(fetchRows, 2000);
     return () => clearInterval(interval);
-  }, []);
+  }, [streamConnected, tableId]);
 
-  const fetchUsers = async () => {
+  const fetchRows = async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`${apiUrl}/sync/users`);
-      setUsers(response.data.data || []);
+      const response = await axios.get(`${apiUrl}/sync/tables/${tableId}/rows`);
+      setRows(response.data.data || []);
       setError(null);
     } catch (err) {
-      setError('Failed to fetch users');
+      setError(`Failed to fetch ${tableId} rows`);
       console.error(err);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleEdit = (user) => {
-    setEditingId(user.id);
-    setEditValues({ ...user });
+  const handleEdit = (row) => {
+    setEditingId(row[keyField]);
+    setEditValues({ ...row });
+    setEditBase({ ...row });
+  };
+
+  const handleAdd = () => {
+    setFieldErrors({});
+    setEditingId(NEW_ROW);
+    setEditValues({});
+    setEditBase({});
+  };
+
+  const handleDelete = async (row) => {
+    if (!window.confirm(`Delete ${tableId} row ${row[keyField]}? It is removed from the sheet too.`)) {
+      return;
+    }
+
+    try {
+      await axios.post(`${apiUrl}/sync/changes`, {
+        tableId,
+        rowId: row[keyField],
+        operation: 'DELETE',
+        idempotencyKey: newIdempotencyKey(),
+      });
+      fetchRows();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete row');
+      console.error(err);
+    }
   };
 
   const handleCancel = () => {
     setEditingId(null);
     setEditValues({});
+    setEditBase({});
+    setFieldErrors({});
+  };
+
+  // Raw input is sent as typed - the backend coerces it to the column type
+  const handleChange = (column, rawValue) => {
+    setEditValues({ ...editValues, [column.field]: rawValue });
+    setFieldErrors({ ...fieldErrors, [column.field]: undefined });
+  };
+
+  const renderInput = (column) => {
+    const value = editValues[column.field] ?? '';
+    const className = fieldErrors[column.field] ? 'invalid' : '';
+
+    if (column.type === 'boolean') {
+      return (
+        <select
+          value={value === '' ? '' : String(Boolean(value) && value !== 'false')}
+          className={className}
+          onChange={(e) => handleChange(column, e.target.value)}
+        >
+          {!column.required && <option value="">—</option>}
+          <option value="true">Yes</option>
+          <option value="false">No</option>
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={INPUT_TYPES[column.type] || 'text'}
+        value={column.type === 'date' ? String(value).slice(0, 10) : value}
+        maxLength={column.maxLength || undefined}
+        required={column.required}
+        className={className}
+        onChange={(e) => handleChange(column, e.target.value)}
+      />
+    );
   };
 
-  const handleChange = (field, value) => {
-    setEditValues({ ...editValues, [field]: value });
+  const renderEditCell = (column) => (
+    <>
+      {renderInput(column)}
+      {fieldErrors[column.field] && <div className="field-error">{fieldErrors[column.field]}</div>}
+    </>
+  );
+
+  const renderEditActions = () => (
+    <>
+      <button className="save-btn" onClick={handleSave}>
+        ✓ Save
+      </button>
+      <button className="cancel-btn" onClick={handleCancel}>
+        ✕ Cancel
+      </button>
+    </>
+  );
+
+  const showFieldErrors = (errors) => {
+    setFieldErrors(
+      Object.fromEntries(errors.map((fieldError) => [fieldError.field, fieldError.message])),
+    );
   };
 
   const handleSave = async () => {
+    const adding = editingId === NEW_ROW;
+
     try {
-      // Send update to DB webhook
-      const changes = {};
-      const originalUser = users.find((u) => u.id === editingId);
+      // Send the change through the dashboard change API: every filled-in
+      // field of a new row, only the edited fields of an existing one
+      const rawChanges = {};
 
       for (const key in editValues) {
-        if (editValues[key] !== originalUser[key] && ['name', 'email', 'salary'].includes(key)) {
-          changes[key] = editValues[key];
+        if (
+          String(editValues[key] ?? '') !== String(editBase[key] ?? '') &&
+          editableFields.includes(key)
+        ) {
+          rawChanges[key] = editValues[key];
         }
       }
 
-      if (Object.keys(changes).length === 0) {
+      if (!adding && Object.keys(rawChanges).length === 0) {
         handleCancel();
         return;
       }
 
-      await axios.post(`${apiUrl}/db/webhook`, {
-        tableId: 'users',
-        rowId: editingId,
-        operation: 'UPDATE',
-        changes,
+      // Same rules the webhooks enforce, checked before anything is saved
+      const validation = await axios.post(`${apiUrl}/sync/validate`, {
+        tableId,
+        rowId: adding ? null : editingId,
+        operation: adding ? 'INSERT' : 'UPDATE',
+        changes: rawChanges,
+      });
+      const { valid, values, fieldErrors: errors } = validation.data.data;
+
+      if (!valid) {
+        showFieldErrors(errors);
+        return;
+      }
+
+      await axios.post(`${apiUrl}/sync/changes`, {
+        tableId,
+        rowId: adding ? null : editingId,
+        operation: adding ? 'INSERT' : 'UPDATE',
+        changes: values,
+        // What this edit was based on, so the backend can tell a concurrent
+        // change to the same field from an ordinary edit
+        metadata: adding
+          ? {}
+          : {
+              oldValues: Object.fromEntries(
+                Object.keys(values).map((field) => [field, editBase[field] ?? null]),
+              ),
+            },
+        idempotencyKey: newIdempotencyKey(),
       });
 
       handleCancel();
-      fetchUsers();
+      fetchRows();
     } catch (err) {
+      // Rejected on save (e.g. the value was taken in the meantime)
+      if (err.response?.data?.fieldErrors) {
+        showFieldErrors(err.response.data.fieldErrors);
+        return;
+      }
       setError('Failed to save changes');
       console.error(err);
     }
   };
 
-  if (loading && users.length === 0) {
-    return <div className="loading">Loading users...</div>;
+  if (loading && rows.length === 0) {
+    return <div className="loading">Loading {tableId}...</div>;
   }
 
   return (
     <div className="data-table-container">
       <div className="table-header">
-        <h2>Users Database</h2>
-        <button className="refresh-btn" onClick={fetchUsers}>
-          🔄 Refresh
-        </button>
+        <h2>{table ? `${table.table} (sheet: ${table.sheetName})` : tableId}</h2>
+        <div className="table-header-actions">
+          <button
+            className="save-btn"
+            onClick={handleAdd}
+            disabled={editingId === NEW_ROW || editableFields.length === 0}
+          >
+            ＋ Add row
+          </button>
+          <button className="refresh-btn" onClick={fetchRows}>
+            🔄 Refresh
+          </button>
+        </div>
       </div>
 
       {error && <div className="error-message">{error}</div>}
 
-      {users.length === 0 ? (
+      {rows.length === 0 && editingId !== NEW_ROW ? (
         <div className="empty-state">
-          <p>No users found. Add some data to your Google Sheet!</p>
+          <p>No rows in {tableId} yet. Add some data to your Google Sheet!</p>
         </div>
       ) : (
         <div className="table-wrapper">
           <table className="data-table">
             <thead>
               <tr>
-                <th>ID</th>
-                <th>Name</th>
-                <th>Email</th>
-                <th>Salary</th>
+                {columns.map((column) => (
+                  <th key={column.field} title={column.dbType || undefined}>
+                    {column.label}
+                    {column.editable && column.required && ' *'}
+                  </th>
+                ))}
                 <th>Version</th>
                 <th>Last Updated</th>
                 <th>Source</th>
@@ -112,65 +316,52 @@ function DataTable({ apiUrl }) {
               </tr>
             </thead>
             <tbody>
-              {users.map((user) => (
-                <tr key={user.id} className={editingId === user.id ? 'editing' : ''}>
-                  <td>{user.id}</td>
-                  <td>
-                    {editingId === user.id ? (
-                      <input
-                        type="text"
-                        value={editValues.name || ''}
-                        onChange={(e) => handleChange('name', e.target.value)}
-                      />
-                    ) : (
-                      user.name
-                    )}
-                  </td>
-                  <td>
-                    {editingId === user.id ? (
-                      <input
-                        type="email"
-                        value={editValues.email || ''}
-                        onChange={(e) => handleChange('email', e.target.value)}
-                      />
-                    ) : (
-                      user.email
-                    )}
-                  </td>
-                  <td>
-                    {editingId === user.id ? (
-                      <input
-                        type="number"
-                        value={editValues.salary || ''}
-                        onChange={(e) => handleChange('salary', parseFloat(e.target.value))}
-                      />
-                    ) : (
-                      `$${parseFloat(user.salary).toLocaleString()}`
-                    )}
-                  </td>
-                  <td className="version-badge">{user.version || 1}</td>
+              {editingId === NEW_ROW && (
+                <tr className="editing new-row">
+                  {columns.map((column) => (
+                    <td key={column.field}>
+                      {editableFields.includes(column.field) ? renderEditCell(column) : <em>auto</em>}
+                    </td>
+                  ))}
+                  <td />
+                  <td />
+                  <td />
+                  <td className="actions">{renderEditActions()}</td>
+                </tr>
+              )}
+              {rows.map((row) => (
+                <tr key={row[keyField]} className={editingId === row[keyField] ? 'editing' : ''}>
+                  {columns.map((column) => (
+                    <td key={column.field}>
+                      {editingId === row[keyField] && editableFields.includes(column.field)
+                        ? renderEditCell(column)
+                        : formatValue(column, row[column.field])}
+                    </td>
+                  ))}
+                  <td className="version-badge">{row.version || 1}</td>
                   <td className="date">
-                    {new Date(user.updated_at).toLocaleTimeString()}
+                    {new Date(row.updated_at).toLocaleTimeString()}
                   </td>
                   <td>
-                    <span className={`source-badge ${user.source?.toLowerCase()}`}>
-                      {user.source || 'DB'}
+                    <span className={`source-badge ${row.source?.toLowerCase()}`}>
+                      {row.source || 'DB'}
                     </span>
                   </td>
                   <td className="actions">
-                    {editingId === user.id ? (
+                    {editingId === row[keyField] ? (
+                      renderEditActions()
+                    ) : (
                       <>
-                        <button className="save-btn" onClick={handleSave}>
-                          ✓ Save
+                        <button className="edit-btn" onClick={() => handleEdit(row)}>
+                          ✏️ Edit
                         </button>
-                        <button className="cancel-btn" onClick={handleCancel}>
-                          ✕ Cancel
+                        <button className="edit-btn" onClick={() => setHistoryId(row[keyField])}>
+                          🕘 History
+                        </button>
+                        <button className="delete-btn" onClick={() => handleDelete(row)}>
+                          🗑 Delete
                         </button>
                       </>
-                    ) : (
-                      <button className="edit-btn" onClick={() => handleEdit(user)}>
-                        ✏️ Edit
-                      </button>
                     )}
                   </td>
                 </tr>
@@ -179,6 +370,16 @@ function DataTable({ apiUrl }) {
           </table>
         </div>
       )}
+
+      {historyId !== null && (
+        <RowHistory
+          apiUrl={apiUrl}
+          tableId={tableId}
+          rowId={historyId}
+          columns={columns}
+          onClose={() => setHistoryId(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,331 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './EventComposer.css';
+
+const EMPTY_EVENT = {
+  source: 'DB',
+  operation: 'UPDATE',
+  rowId: '',
+  sheetRow: '',
+  version: '',
+};
+
+// seen: the value the sender had before its edit - only then can the
+// engine tell a concurrent edit (a conflict) from an ordinary one
+const EMPTY_CHANGE = { field: '', value: '', seen: '' };
+
+const STEP_LABELS = {
+  resolve_row: 'Resolve sheet row',
+  captured: 'Captured change',
+  not_found: 'Record not found',
+  stale: 'Stale version',
+  loopback: 'Loopback',
+  conflict: 'Conflict',
+  apply: 'Apply',
+  insert: 'Insert',
+  delete: 'Delete',
+};
+
+const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+/**
+ * Compose a change and see what the sync engine would do with it
+ * (POST /sync/plan) - nothing is written
+ */
+function EventComposer({ apiUrl, tableId }) {
+  const [columns, setColumns] = useState([]);
+  const [event, setEvent] = useState(EMPTY_EVENT);
+  const [changes, setChanges] = useState([EMPTY_CHANGE]);
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState([]);
+
+  useEffect(() => {
+    fetchColumns();
+    setChanges([EMPTY_CHANGE]);
+    setPlan(null);
+  }, [tableId]);
+
+  const fetchColumns = async () => {
+    try {
+      const response = await axios.get(`${apiUrl}/sync/tables`);
+      const table = (response.data.data || []).find((t) => t.table === tableId);
+      setColumns(table ? table.columns.filter((column) => column.editable) : []);
+    } catch (err) {
+      setError('Failed to fetch table metadata');
+      console.error(err);
+    }
+  };
+
+  const updateEvent = (name, value) => {
+    setEvent((current) => ({ ...current, [name]: value }));
+  };
+
+  const updateChange = (index, name, value) => {
+    setChanges((current) =>
+      current.map((change, i) => (i === index ? { ...change, [name]: value } : change)),
+    );
+  };
+
+  const addChange = () => {
+    setChanges((current) => [...current, EMPTY_CHANGE]);
+  };
+
+  const removeChange = (index) => {
+    setChanges((current) => current.filter((_, i) => i !== index));
+  };
+
+  const handlePlan = async (e) => {
+    e.preventDefault();
+    setPlanning(true);
+    setError(null);
+    setFieldErrors([]);
+
+    const filled = changes.filter((change) => change.field);
+    const seen = filled.filter((change) => change.seen !== '');
+
+    try {
+      const response = await axios.post(`${apiUrl}/sync/plan`, {
+        tableId,
+        source: event.source,
+        operation: event.operation,
+        rowId: event.rowId === '' ? null : event.rowId,
+        ...(event.source === 'SHEET' && event.sheetRow !== '' && {
+          sheetRow: Number(event.sheetRow),
+        }),
+        ...(event.version !== '' && { version: Number(event.version) }),
+        changes:
+          event.operation === 'DELETE'
+            ? {}
+            : Object.fromEntries(filled.map((change) => [change.field, change.value])),
+        ...(seen.length > 0 && {
+          metadata: {
+            oldValues: Object.fromEntries(seen.map((change) => [change.field, change.seen])),
+          },
+        }),
+      });
+      setPlan(response.data.data);
+    } catch (err) {
+      setPlan(null);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to plan event');
+      setFieldErrors(err.response?.data?.fieldErrors || []);
+      console.error(err);
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const describeResult = (result) => {
+    if (!result) return null;
+    if (result.error) return { className: 'error', text: result.error };
+    if (result.status === 'ignored') return { className: 'ignored', text: `Ignored: ${result.reason}` };
+    if (result.status === 'pending') {
+      return { className: 'pending', text: `Held for manual resolution: ${result.heldFields.join(', ')}` };
+    }
+    if (result.operation === 'BATCH') return { className: 'success', text: 'Range edit would apply' };
+    return { className: 'success', text: `${result.operation} would apply` };
+  };
+
+  const outcome = plan && describeResult(plan.result);
+
+  return (
+    <div className="composer-container">
+      <div className="composer-header">
+        <h2>🧪 Plan an Event</h2>
+        <span className="composer-hint">Dry run against {tableId} - nothing is written</span>
+      </div>
+
+      <form className="composer-form" onSubmit={handlePlan}>
+        <div className="composer-fields">
+          <label>
+            Source
+            <select value={event.source} onChange={(e) => updateEvent('source', e.target.value)}>
+              <option value="DB">DB</option>
+              <option value="SHEET">Sheet</option>
+            </select>
+          </label>
+          <label>
+            Operation
+            <select value={event.operation} onChange={(e) => updateEvent('operation', e.target.value)}>
+              <option value="UPDATE">UPDATE</option>
+              <option value="INSERT">INSERT</option>
+              <option value="DELETE">DELETE</option>
+            </select>
+          </label>
+          <label>
+            Row id
+            <input
+              value={event.rowId}
+              onChange={(e) => updateEvent('rowId', e.target.value)}
+              placeholder={event.operation === 'INSERT' ? 'generated' : 'required'}
+            />
+          </label>
+          {event.source === 'SHEET' && (
+            <label>
+              Sheet row
+              <input
+                type="number"
+                min="1"
+                value={event.sheetRow}
+                onChange={(e) => updateEvent('sheetRow', e.target.value)}
+              />
+            </label>
+          )}
+          <label>
+            Version
+            <input
+              type="number"
+              min="0"
+              value={event.version}
+              onChange={(e) => updateEvent('version', e.target.value)}
+              placeholder="none"
+            />
+          </label>
+        </div>
+
+        {event.operation !== 'DELETE' && (
+          <div className="composer-changes">
+            {changes.map((change, index) => (
+              <div key={index} className="composer-change">
+                <select
+                  value={change.field}
+                  onChange={(e) => updateChange(index, 'field', e.target.value)}
+                >
+                  <option value="">Field...</option>
+                  {columns.map((column) => (
+                    <option key={column.field} value={column.field}>
+                      {column.label || column.field}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={change.value}
+                  onChange={(e) => updateChange(index, 'value', e.target.value)}
+                  placeholder="New value"
+                />
+                <input
+                  value={change.seen}
+                  onChange={(e) => updateChange(index, 'seen', e.target.value)}
+                  placeholder="Value the sender saw (optional)"
+                />
+                <button type="button" className="remove-btn" onClick={() => removeChange(index)}>
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button type="button" className="add-btn" onClick={addChange}>
+              + Field
+            </button>
+          </div>
+        )}
+
+        <button type="submit" className="plan-btn" disabled={planning}>
+          {planning ? 'Planning...' : 'Plan'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          {fieldErrors.length > 0 && (
+            <ul className="field-errors">
+              {fieldErrors.map((fieldError, index) => (
+                <li key={index}>{fieldError.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {plan && (
+        <div className="plan-result">
+          <div className="plan-path">
+            {plan.path.length === 0 && <span className="plan-step">No decision taken</span>}
+            {plan.steps.map((step, index) => (
+              <React.Fragment key={index}>
+                {index > 0 && <span className="plan-arrow">→</span>}
+                <span className={`plan-step step-${step.step}`}>
+                  {STEP_LABELS[step.step] || step.step}
+                  {step.rowId !== undefined && step.rowId !== null && ` #${step.rowId}`}
+                </span>
+              </React.Fragment>
+            ))}
+          </div>
+
+          {outcome && <div className={`plan-outcome ${outcome.className}`}>{outcome.text}</div>}
+
+          {plan.conflicts.length > 0 && (
+            <div className="plan-section">
+              <h3>Conflicts</h3>
+              <table className="plan-conflicts">
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    <th>Seen</th>
+                    <th>Current</th>
+                    <th>Incoming</th>
+                    <th>Strategy</th>
+                    <th>Resolved</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.conflicts.map((conflict, index) => (
+                    <tr key={index}>
+                      <td>{conflict.field}</td>
+                      <td>{formatValue(conflict.seenValue)}</td>
+                      <td>{formatValue(conflict.currentValue)}</td>
+                      <td>{formatValue(conflict.incomingValue)}</td>
+                      <td>{conflict.strategy}</td>
+                      <td>
+                        {conflict.field in plan.resolvedValues ? (
+                          formatValue(plan.resolvedValues[conflict.field])
+                        ) : (
+                          <em>held</em>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="plan-section">
+            <h3>SQL ({plan.statements.length})</h3>
+            {plan.statements.length === 0 ? (
+              <p className="plan-empty">Nothing would be written</p>
+            ) : (
+              plan.statements.map((statement, index) => (
+                <pre key={index} className="plan-sql">
+                  {statement.sql}
+                  {'\n'}
+                  <span className="plan-values">-- {JSON.stringify(statement.values)}</span>
+                </pre>
+              ))
+            )}
+          </div>
+
+          {plan.sheetWrites.length > 0 && (
+            <div className="plan-section">
+              <h3>Sheet writes ({plan.sheetWrites.length})</h3>
+              <ul className="plan-sheet-writes">
+                {plan.sheetWrites.map((write, index) => (
+                  <li key={index}>
+                    <strong>{write.type}</strong> {write.tableId}
+                    {write.recordId !== undefined && ` #${write.recordId}`}
+                    {write.changes && <code> {JSON.stringify(write.changes)}</code>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EventComposer;
@@ -0,0 +1,142 @@
+'use client';
+
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useSyncStream } from '../hooks/useSyncStream';
+import { usePagedLog } from '../hooks/usePagedLog';
+import './RowHistory.css';
+
+const NO_FILTERS = {};
+
+const parseValue = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || {};
+
+const displayValue = (value) =>
+  value === null || value === undefined || value === '' ? '∅' : String(value);
+
+// Fields whose value differs between the before and after snapshots
+const changedFields = (change) => {
+  const oldValue = parseValue(change.old_value);
+  const newValue = parseValue(change.new_value);
+  const fields = [...new Set([...Object.keys(oldValue), ...Object.keys(newValue)])];
+
+  return fields
+    .filter((field) => JSON.stringify(oldValue[field]) !== JSON.stringify(newValue[field]))
+    .map((field) => ({ field, before: oldValue[field], after: newValue[field] }));
+};
+
+/**
+ * Change history drawer for one record, with a revert button per change
+ */
+function RowHistory({ apiUrl, tableId, rowId, columns, onClose }) {
+  const [revertingId, setRevertingId] = useState(null);
+  const [revertError, setRevertError] = useState(null);
+
+  const {
+    items: changes,
+    total,
+    loading,
+    error,
+    hasMore,
+    reload,
+    sentinelRef,
+  } = usePagedLog(`${apiUrl}/sync/rows/${tableId}/${rowId}/history`, NO_FILTERS);
+
+  // Every applied change to this row adds a history entry
+  useSyncStream(apiUrl, {
+    row: (change) => {
+      if (change.tableId === tableId && String(change.rowId) === String(rowId)) reload();
+    },
+  });
+
+  const labelFor = (field) => columns.find((column) => column.field === field)?.label || field;
+
+  const revert = async (change) => {
+    try {
+      setRevertingId(change.id);
+      const response = await axios.post(
+        `${apiUrl}/sync/rows/${tableId}/${rowId}/revert/${change.id}`,
+      );
+      const result = response.data.result;
+      if (result?.status === 'ignored') {
+        setRevertError(`Revert was ignored (${result.reason})`);
+      } else {
+        setRevertError(null);
+      }
+      reload();
+    } catch (err) {
+      setRevertError(err.response?.data?.message || 'Failed to revert change');
+      console.error(err);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <aside className="history-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="history-header">
+          <h3>
+            {tableId} #{rowId} history
+          </h3>
+          <span className="history-total">{total} change(s)</span>
+          <button className="cancel-btn" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {(error || revertError) && (
+          <div className="error-message">{revertError || `Failed to fetch history: ${error}`}</div>
+        )}
+
+        {loading && changes.length === 0 ? (
+          <div className="loading">Loading history...</div>
+        ) : changes.length === 0 ? (
+          <div className="empty-state">
+            <p>No recorded changes for this row.</p>
+          </div>
+        ) : (
+          <ol className="history-list">
+            {changes.map((change) => (
+              <li key={change.id} className="history-entry">
+                <div className="history-entry-header">
+                  <span className={`source-badge ${change.source?.toLowerCase()}`}>
+                    {change.source}
+                  </span>
+                  <span className="history-operation">{change.operation}</span>
+                  {change.revert_of && (
+                    <span className="history-revert-of">reverts #{change.revert_of}</span>
+                  )}
+                  <span className="date">{new Date(change.created_at).toLocaleString()}</span>
+                </div>
+
+                <ul className="history-fields">
+                  {changedFields(change).map(({ field, before, after }) => (
+                    <li key={field}>
+                      <strong>{labelFor(field)}:</strong> <del>{displayValue(before)}</del> →{' '}
+                      <ins>{displayValue(after)}</ins>
+                    </li>
+                  ))}
+                </ul>
+
+                <button
+                  className="edit-btn"
+                  disabled={revertingId !== null}
+                  onClick={() => revert(change)}
+                >
+                  {revertingId === change.id ? 'Reverting...' : '↩ Revert'}
+                </button>
+              </li>
+            ))}
+            {hasMore && (
+              <li ref={sentinelRef} className="history-more">
+                Loading more...
+              </li>
+            )}
+          </ol>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default RowHistory;
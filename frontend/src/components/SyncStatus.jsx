@@ -2,18 +2,140 @@
 
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useSyncStream } from '../hooks/useSyncStream';
 import './SyncStatus.css';
 
+const HEALTH_POLL_MS = 5000;
+
+// Health check status -> indicator class and symbol
+const HEALTH_STYLES = {
+  ok: { className: 'success', symbol: '✓' },
+  degraded: { className: 'warning', symbol: '!' },
+  failing: { className: 'error', symbol: '✕' },
+};
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+};
+
+const formatAge = (seconds) =>
+  seconds === null || seconds === undefined ? 'never' : `${formatDuration(seconds)} ago`;
+
+// One row per dependency check of GET /health/ready
+const healthItems = (health) => {
+  if (!health) {
+    return [{ label: 'Backend Server', status: 'failing', summary: 'Unreachable' }];
+  }
+
+  const { database, queue, webhooks, errorRate } = health.checks || {};
+  const items = [
+    {
+      label: 'Backend Server',
+      status: 'ok',
+      summary: 'Connected',
+      detail: `Up ${formatDuration(health.uptimeSeconds)}`,
+    },
+  ];
+
+  if (database) {
+    items.push({
+      label: 'MySQL Database',
+      status: database.status,
+      summary: database.status === 'ok' ? 'Connected' : 'Unavailable',
+      detail: database.error || `${database.latencyMs}ms ping`,
+    });
+  }
+
+  if (queue) {
+    items.push({
+      label: 'Event Queue',
+      status: queue.status,
+      summary: queue.status === 'ok' ? 'Draining' : queue.error ? 'Unknown' : 'Lagging',
+      detail:
+        queue.error ||
+        `${queue.depth} queued, ${queue.lagSeconds}s lag, ${queue.deadLetters} dead`,
+    });
+  }
+
+  if (webhooks) {
+    items.push(
+      {
+        label: 'Sheet Webhooks',
+        status: webhooks.sheet.status,
+        summary: webhooks.sheet.status === 'ok' ? 'Active' : 'Quiet',
+        detail: `Last ${formatAge(webhooks.sheet.ageSeconds)}`,
+      },
+      {
+        label: 'DB Webhooks',
+        status: webhooks.db.status,
+        summary: webhooks.db.status === 'ok' ? 'Active' : 'Quiet',
+        detail: `Last ${formatAge(webhooks.db.ageSeconds)}`,
+      },
+    );
+  }
+
+  if (errorRate) {
+    items.push({
+      label: 'Sync Engine',
+      status: errorRate.status,
+      summary: errorRate.status === 'ok' ? 'Running' : errorRate.error ? 'Unknown' : 'Erroring',
+      detail:
+        errorRate.error ||
+        `${Math.round(errorRate.rate * 100)}% errors over ${Math.round(
+          errorRate.windowSeconds / 60,
+        )}m (${errorRate.errors}/${errorRate.processed + errorRate.errors})`,
+    });
+  }
+
+  return items;
+};
+
 function SyncStatus({ apiUrl }) {
   const [status, setStatus] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [health, setHealth] = useState(null);
+  const [healthLoaded, setHealthLoaded] = useState(false);
+
+  // The stream sends the current status on connect and after every change
+  const streamConnected = useSyncStream(apiUrl, {
+    status: (update) => setStatus((current) => ({ ...current, ...update })),
+  });
 
+  // Poll only while the live stream is down
   useEffect(() => {
+    if (streamConnected) return undefined;
     fetchStatus();
     const interval = setInterval(fetchStatus, 2000);
     return () => clearInterval(interval);
-  }, []);
+  }, [streamConnected]);
+
+  // Dependency checks are probed on request, so they are always polled
+  useEffect(() => {
+    fetchHealth();
+    const interval = setInterval(fetchHealth, HEALTH_POLL_MS);
+    return () => clearInterval(interval);
+  }, [apiUrl]);
+
+  const fetchHealth = async () => {
+    try {
+      const response = await axios.get(`${apiUrl}/health/ready`);
+      setHealth(response.data);
+    } catch (err) {
+      // A failing check answers 503 with the full report
+      setHealth(err.response?.data?.checks ? err.response.data : null);
+    } finally {
+      setHealthLoaded(true);
+    }
+  };
+
+  const refresh = () => {
+    fetchStatus();
+    fetchHealth();
+  };
 
   const fetchStatus = async () => {
     try {
@@ -37,7 +159,7 @@ function SyncStatus({ apiUrl }) {
     <div className="status-container">
       <div className="status-header">
         <h2>Sync System Status</h2>
-        <button className="refresh-btn" onClick={fetchStatus}>
+        <button className="refresh-btn" onClick={refresh}>
           🔄 Refresh
         </button>
       </div>
@@ -76,6 +198,28 @@ function SyncStatus({ apiUrl }) {
             </div>
           </div>
 
+          <div className="status-card">
+            <div className="status-icon">📬</div>
+            <div className="status-info">
+              <div className="status-label">Queued Events</div>
+              <div className="status-value">{status.queue_depth}</div>
+            </div>
+          </div>
+
+          <div className="status-card">
+            <div className="status-icon">☠️</div>
+            <div className="status-info">
+              <div className="status-label">Dead Letters</div>
+              <div
+                className={`status-value ${
+                  status.dead_letters > 0 ? 'warning' : 'success'
+                }`}
+              >
+                {status.dead_letters}
+              </div>
+            </div>
+          </div>
+
           <div className="status-card full-width">
             <div className="status-icon">🕐</div>
             <div className="status-info">
@@ -89,29 +233,37 @@ function SyncStatus({ apiUrl }) {
       )}
 
       <div className="status-section">
-        <h3>System Health</h3>
-        <div className="health-items">
-          <div className="health-item">
-            <span className="health-indicator success">✓</span>
-            <span className="health-label">Backend Server</span>
-            <span className="health-status">Connected</span>
-          </div>
-          <div className="health-item">
-            <span className="health-indicator success">✓</span>
-            <span className="health-label">MySQL Database</span>
-            <span className="health-status">Connected</span>
+        <h3>
+          System Health
+          {healthLoaded && (
+            <span
+              className={`health-overall ${
+                HEALTH_STYLES[health?.status || 'failing'].className
+              }`}
+            >
+              {health?.status || 'failing'}
+            </span>
+          )}
+        </h3>
+        {healthLoaded ? (
+          <div className="health-items">
+            {healthItems(health).map((item) => {
+              const style = HEALTH_STYLES[item.status] || HEALTH_STYLES.failing;
+              return (
+                <div key={item.label} className={`health-item ${style.className}`}>
+                  <span className={`health-indicator ${style.className}`}>{style.symbol}</span>
+                  <span className="health-label">
+                    {item.label}
+                    {item.detail && <span className="health-detail">{item.detail}</span>}
+                  </span>
+                  <span className="health-status">{item.summary}</span>
+                </div>
+              );
+            })}
           </div>
-          <div className="health-item">
-            <span className="health-indicator success">✓</span>
-            <span className="health-label">Webhook Receiver</span>
-            <span className="health-status">Active</span>
-          </div>
-          <div className="health-item">
-            <span className="health-indicator success">✓</span>
-            <span className="health-label">Sync Engine</span>
-            <span className="health-status">Running</span>
-          </div>
-        </div>
+        ) : (
+          <div className="loading">Checking dependencies...</div>
+        )}
       </div>
 
       <div className="status-section">
@@ -0,0 +1,58 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+/**
+ * Tabs for the synced tables (GET /sync/tables)
+ */
+function TablePicker({ apiUrl, value, onChange }) {
+  const [tables, setTables] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchTables();
+  }, []);
+
+  const fetchTables = async () => {
+    try {
+      const response = await axios.get(`${apiUrl}/sync/tables`);
+      const synced = response.data.data || [];
+      setTables(synced);
+      setError(null);
+
+      // Fall back to the first table when the selected one is not synced
+      if (synced.length > 0 && !synced.some((table) => table.table === value)) {
+        onChange(synced[0].table);
+      }
+    } catch (err) {
+      setError('Failed to fetch tables');
+      console.error(err);
+    }
+  };
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  if (tables.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="tabs">
+      {tables.map((table) => (
+        <button
+          key={table.table}
+          className={`tab ${table.table === value ? 'active' : ''}`}
+          onClick={() => onChange(table.table)}
+          title={`Sheet: ${table.sheetName}`}
+        >
+          {table.table}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TablePicker;
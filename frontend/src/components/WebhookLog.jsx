@@ -2,31 +2,146 @@
 
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useSyncStream } from '../hooks/useSyncStream';
+import { usePagedLog } from '../hooks/usePagedLog';
 import './WebhookLog.css';
 
+const STATUSES = [
+  'PROCESSED',
+  'RECEIVED',
+  'ERROR',
+  'DEAD_LETTER',
+  'REJECTED',
+  'UNAUTHORIZED',
+  'DUPLICATE',
+  'REVERT',
+  'RECONCILED',
+];
+const SOURCES = ['SHEET', 'DB', 'DB_CAPTURE'];
+// Never UNAUTHORIZED - those payloads failed the signature check
+const REPLAYABLE = ['ERROR', 'DEAD_LETTER', 'REJECTED'];
+const EMPTY_FILTERS = {
+  status: '',
+  source: '',
+  table: '',
+  rowId: '',
+  correlationId: '',
+  from: '',
+  to: '',
+  q: '',
+};
+
+// One line for the outcome of POST /sync/replay for an entry
+const describeReplay = (result) => {
+  switch (result.status) {
+    case 'replayed':
+      return `Replayed (queue #${result.queueId})`;
+    case 'would_replay':
+      return 'Dry run passed - the payload parses and validates';
+    case 'queued':
+      return `Queued for retry${result.reason ? `: ${result.reason}` : ''}`;
+    case 'skipped':
+      return result.reason === 'already_processed'
+        ? 'Skipped - this delivery was processed later'
+        : `Skipped (${result.reason})`;
+    default:
+      return `Replay ${result.status}: ${result.reason}`;
+  }
+};
+
+// Whether a pushed entry belongs in the filtered list (mirrors GET /sync/changelog)
+const matchesFilters = (entry, filters) => {
+  const createdAt = new Date(entry.created_at);
+  const text = `${JSON.stringify(entry.payload)} ${entry.error_message || ''}`.toLowerCase();
+
+  return (
+    (!filters.status || entry.status === filters.status) &&
+    (!filters.source || entry.source === filters.source) &&
+    (!filters.table || entry.table_name === filters.table) &&
+    (!filters.rowId || entry.row_id === filters.rowId) &&
+    (!filters.correlationId || entry.correlation_id === filters.correlationId) &&
+    (!filters.from || createdAt >= new Date(filters.from)) &&
+    (!filters.to || createdAt <= new Date(filters.to)) &&
+    (!filters.q || text.includes(filters.q.toLowerCase()))
+  );
+};
+
 function WebhookLog({ apiUrl }) {
-  const [logs, setLogs] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
   const [expandedId, setExpandedId] = useState(null);
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [replayingId, setReplayingId] = useState(null);
+  const [replayResults, setReplayResults] = useState({});
+
+  const {
+    items: logs,
+    total,
+    loading,
+    error,
+    hasMore,
+    reload: fetchLogs,
+    prepend,
+    sentinelRef,
+  } = usePagedLog(`${apiUrl}/sync/changelog`, filters);
 
+  // New audit entries are pushed; show the ones the filters let through
+  const streamConnected = useSyncStream(apiUrl, {
+    audit: (entry) => {
+      if (matchesFilters(entry, filters)) prepend(entry);
+    },
+  });
+
+  // Poll the first page only while the live stream is down
   useEffect(() => {
-    fetchLogs();
+    if (streamConnected) return undefined;
     const interval = setInterval(fetchLogs, 2000);
     return () => clearInterval(interval);
-  }, []);
+  }, [streamConnected, fetchLogs]);
+
+  const updateDraft = (name, value) => {
+    setDraftFilters((current) => ({ ...current, [name]: value }));
+  };
+
+  // Date inputs are local time; the API gets them as ISO timestamps
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setFilters({
+      ...draftFilters,
+      from: draftFilters.from && new Date(draftFilters.from).toISOString(),
+      to: draftFilters.to && new Date(draftFilters.to).toISOString(),
+    });
+  };
+
+  const clearFilters = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
 
-  const fetchLogs = async () => {
+  // Every audit entry of the same delivery (received, processed, retries)
+  const showCorrelated = (correlationId) => {
+    const related = { ...EMPTY_FILTERS, correlationId };
+    setDraftFilters(related);
+    setFilters(related);
+  };
+
+  const replay = async (log, { dryRun = false, force = false } = {}) => {
     try {
-      setLoading(true);
-      const response = await axios.get(`${apiUrl}/sync/changelog`);
-      setLogs(response.data.data || []);
-      setError(null);
+      setReplayingId(log.id);
+      const response = await axios.post(`${apiUrl}/sync/replay`, {
+        ids: [log.id],
+        dryRun,
+        force,
+      });
+      const [result] = response.data.results;
+      setReplayResults((current) => ({ ...current, [log.id]: result }));
     } catch (err) {
-      setError('Failed to fetch webhook logs');
+      setReplayResults((current) => ({
+        ...current,
+        [log.id]: { status: 'error', reason: err.response?.data?.message || err.message },
+      }));
       console.error(err);
     } finally {
-      setLoading(false);
+      setReplayingId(null);
     }
   };
 
@@ -34,6 +149,14 @@ function WebhookLog({ apiUrl }) {
     setExpandedId(expandedId === id ? null : id);
   };
 
+  // Field-level errors of a rejected event, if any
+  const getFieldErrors = (log) => {
+    if (!log.error_details) return [];
+    const details =
+      typeof log.error_details === 'string' ? JSON.parse(log.error_details) : log.error_details;
+    return details.fieldErrors || [];
+  };
+
   const getStatusBadge = (status) => {
     switch (status) {
       case 'PROCESSED':
@@ -42,6 +165,18 @@ function WebhookLog({ apiUrl }) {
         return { color: 'info', label: '📥 Received' };
       case 'ERROR':
         return { color: 'error', label: '❌ Error' };
+      case 'DEAD_LETTER':
+        return { color: 'error', label: '☠️ Dead Letter' };
+      case 'REJECTED':
+        return { color: 'error', label: '🔒 Rejected' };
+      case 'UNAUTHORIZED':
+        return { color: 'error', label: '⛔ Unauthorized' };
+      case 'DUPLICATE':
+        return { color: 'default', label: '🔁 Duplicate' };
+      case 'REVERT':
+        return { color: 'success', label: '↩ Revert' };
+      case 'RECONCILED':
+        return { color: 'success', label: '🔄 Reconciled' };
       default:
         return { color: 'default', label: status };
     }
@@ -60,11 +195,79 @@ function WebhookLog({ apiUrl }) {
         </button>
       </div>
 
-      {error && <div className="error-message">{error}</div>}
+      <form className="log-filters" onSubmit={applyFilters}>
+        <select value={draftFilters.status} onChange={(e) => updateDraft('status', e.target.value)}>
+          <option value="">All statuses</option>
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {status}
+            </option>
+          ))}
+        </select>
+        <select value={draftFilters.source} onChange={(e) => updateDraft('source', e.target.value)}>
+          <option value="">All sources</option>
+          {SOURCES.map((source) => (
+            <option key={source} value={source}>
+              {source}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Table"
+          value={draftFilters.table}
+          onChange={(e) => updateDraft('table', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Row id"
+          value={draftFilters.rowId}
+          onChange={(e) => updateDraft('rowId', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Correlation id"
+          value={draftFilters.correlationId}
+          onChange={(e) => updateDraft('correlationId', e.target.value)}
+        />
+        <input
+          type="datetime-local"
+          title="From"
+          value={draftFilters.from}
+          onChange={(e) => updateDraft('from', e.target.value)}
+        />
+        <input
+          type="datetime-local"
+          title="To"
+          value={draftFilters.to}
+          onChange={(e) => updateDraft('to', e.target.value)}
+        />
+        <input
+          type="search"
+          placeholder="Search payloads and errors"
+          value={draftFilters.q}
+          onChange={(e) => updateDraft('q', e.target.value)}
+        />
+        <button type="submit" className="refresh-btn">
+          Apply
+        </button>
+        <button type="button" className="clear-btn" onClick={clearFilters}>
+          Clear
+        </button>
+        <span className="log-total">
+          {logs.length} of {total}
+        </span>
+      </form>
+
+      {error && <div className="error-message">Failed to fetch webhook logs: {error}</div>}
 
       {logs.length === 0 ? (
         <div className="empty-state">
-          <p>No webhook events yet. Start editing your Google Sheet!</p>
+          <p>
+            {!Object.values(filters).some(Boolean)
+              ? 'No webhook events yet. Start editing your Google Sheet!'
+              : 'No webhook events match these filters.'}
+          </p>
         </div>
       ) : (
         <div className="logs-list">
@@ -87,22 +290,62 @@ function WebhookLog({ apiUrl }) {
                     <span className={`status-badge ${statusBadge.color}`}>
                       {statusBadge.label}
                     </span>
+                    {log.source && <span className="log-source">{log.source}</span>}
+                    {log.table_name && (
+                      <span className="log-row">
+                        {log.table_name}
+                        {log.row_id && ` #${log.row_id}`}
+                      </span>
+                    )}
                     <span className="timestamp">
                       {new Date(log.created_at).toLocaleTimeString()}
                     </span>
                   </div>
+                  {REPLAYABLE.includes(log.status) && (
+                    <button
+                      className="replay-btn"
+                      disabled={replayingId !== null}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        replay(log);
+                      }}
+                    >
+                      {replayingId === log.id ? 'Replaying...' : '↻ Replay'}
+                    </button>
+                  )}
                   <div className="expand-toggle">
                     {isExpanded ? '▼' : '▶'}
                   </div>
                 </div>
 
+                {replayResults[log.id] && (
+                  <div
+                    className={`replay-result ${
+                      ['replayed', 'would_replay'].includes(replayResults[log.id].status)
+                        ? 'success'
+                        : 'error'
+                    }`}
+                  >
+                    {describeReplay(replayResults[log.id])}
+                    {replayResults[log.id].reason === 'already_processed' && (
+                      <button
+                        className="clear-btn"
+                        disabled={replayingId !== null}
+                        onClick={() => replay(log, { force: true })}
+                      >
+                        Replay anyway
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 {isExpanded && (
                   <div className="log-details">
                     <div className="payload-section">
                       <h4>Payload</h4>
                       <pre className="payload-content">
                         {JSON.stringify(
-                          JSON.parse(log.payload),
+                          typeof log.payload === 'string' ? JSON.parse(log.payload) : log.payload,
                           null,
                           2,
                         )}
@@ -113,6 +356,30 @@ function WebhookLog({ apiUrl }) {
                       <div className="error-section">
                         <h4>Error</h4>
                         <p>{log.error_message}</p>
+                        {REPLAYABLE.includes(log.status) && (
+                          <div>
+                            <button
+                              className="clear-btn"
+                              disabled={replayingId !== null}
+                              onClick={() => replay(log, { dryRun: true })}
+                            >
+                              Dry run replay
+                            </button>
+                          </div>
+                        )}
+                        {getFieldErrors(log).length > 0 && (
+                          <ul className="field-errors">
+                            {getFieldErrors(log).map((fieldError, index) => (
+                              <li key={index}>
+                                {fieldError.row && <strong>Row {fieldError.row}: </strong>}
+                                {fieldError.message}
+                                {fieldError.value !== undefined && fieldError.value !== null && (
+                                  <code> ({JSON.stringify(fieldError.value)})</code>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
                       </div>
                     )}
 
@@ -120,12 +387,31 @@ function WebhookLog({ apiUrl }) {
                       <small>
                         Created: {new Date(log.created_at).toLocaleString()}
                       </small>
+                      {log.correlation_id && (
+                        <small className="correlation">
+                          Correlation: <code>{log.correlation_id}</code>
+                          {filters.correlationId !== log.correlation_id && (
+                            <button
+                              type="button"
+                              className="clear-btn"
+                              onClick={() => showCorrelated(log.correlation_id)}
+                            >
+                              Show related
+                            </button>
+                          )}
+                        </small>
+                      )}
                     </div>
                   </div>
                 )}
               </div>
             );
           })}
+          {hasMore && (
+            <div ref={sentinelRef} className="load-more">
+              Loading more...
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+
+// Only send the filters that are set
+const toParams = (filters) =>
+  Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== ''),
+  );
+
+/**
+ * Page through a cursor-paginated log endpoint (/sync/changelog, /sync/conflicts)
+ * Changing filters reloads the first page; attach sentinelRef to an element
+ * at the end of the list to load the next page when it scrolls into view.
+ */
+export function usePagedLog(url, filters) {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Bumped on every reload so pages requested for older filters are dropped
+  const generationRef = useRef(0);
+  const loadingMoreRef = useRef(false);
+  const observerRef = useRef(null);
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  const filterKey = JSON.stringify(toParams(filters));
+
+  const fetchPage = useCallback(
+    (cursor) =>
+      axios.get(url, {
+        params: { ...JSON.parse(filterKey), ...(cursor ? { cursor } : {}) },
+      }),
+    [url, filterKey],
+  );
+
+  const reload = useCallback(async () => {
+    const generation = ++generationRef.current;
+    try {
+      setLoading(true);
+      const response = await fetchPage(null);
+      if (generation !== generationRef.current) return;
+
+      setItems(response.data.data || []);
+      setTotal(response.data.total ?? 0);
+      setNextCursor(response.data.nextCursor ?? null);
+      setError(null);
+    } catch (err) {
+      if (generation !== generationRef.current) return;
+      setError(err.response?.data?.message || err.message);
+      console.error(err);
+    } finally {
+      if (generation === generationRef.current) setLoading(false);
+    }
+  }, [fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMoreRef.current) return;
+
+    const generation = generationRef.current;
+    loadingMoreRef.current = true;
+    try {
+      const response = await fetchPage(nextCursor);
+      if (generation !== generationRef.current) return;
+
+      setItems((current) => {
+        const seen = new Set(current.map((item) => item.id));
+        return [...current, ...(response.data.data || []).filter((item) => !seen.has(item.id))];
+      });
+      setTotal(response.data.total ?? 0);
+      setNextCursor(response.data.nextCursor ?? null);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+      console.error(err);
+    } finally {
+      loadingMoreRef.current = false;
+    }
+  }, [fetchPage, nextCursor]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Add an entry pushed by the live stream
+  const prepend = useCallback((item) => {
+    if (itemsRef.current.some((existing) => existing.id === item.id)) return;
+    setItems((current) => [item, ...current]);
+    setTotal((count) => count + 1);
+  }, []);
+
+  const sentinelRef = useCallback(
+    (node) => {
+      observerRef.current?.disconnect();
+      observerRef.current = null;
+      if (!node || typeof IntersectionObserver === 'undefined') return;
+
+      observerRef.current = new IntersectionObserver((entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadMore();
+      });
+      observerRef.current.observe(node);
+    },
+    [loadMore],
+  );
+
+  return {
+    items,
+    total,
+    loading,
+    error,
+    hasMore: nextCursor !== null,
+    reload,
+    loadMore,
+    prepend,
+    sentinelRef,
+  };
+}
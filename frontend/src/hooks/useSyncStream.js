@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react';
+import { getApiToken } from '../apiAuth';
+
+const STREAM_EVENTS = ['row', 'audit', 'conflict', 'status'];
+// A refused stream (no token yet) is retried with whatever token is stored by then
+const REOPEN_DELAY_MS = 5000;
+
+// One EventSource per API url, shared by every component on the page
+const streams = new Map();
+
+// EventSource cannot send headers, so the API token goes in the query
+const streamUrl = (apiUrl) => {
+  const token = getApiToken();
+  return `${apiUrl}/sync/stream${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+};
+
+const openStream = (apiUrl) => {
+  const stream = {
+    source: null,
+    reopenTimer: null,
+    connected: false,
+    listeners: new Set(),
+    connectionListeners: new Set(),
+  };
+
+  const setConnected = (connected) => {
+    if (stream.connected === connected) return;
+    stream.connected = connected;
+    stream.connectionListeners.forEach((listener) => listener(connected));
+  };
+
+  const connect = () => {
+    stream.source = new EventSource(streamUrl(apiUrl));
+
+    // EventSource reconnects by itself after a dropped connection, but
+    // gives up on a refused one (401)
+    stream.source.onopen = () => setConnected(true);
+    stream.source.onerror = () => {
+      setConnected(false);
+      if (stream.source.readyState === EventSource.CLOSED) {
+        stream.reopenTimer = setTimeout(connect, REOPEN_DELAY_MS);
+      }
+    };
+
+    STREAM_EVENTS.forEach((type) => {
+      stream.source.addEventListener(type, (message) => {
+        const data = JSON.parse(message.data);
+        stream.listeners.forEach((listener) => listener(type, data));
+      });
+    });
+  };
+
+  connect();
+  streams.set(apiUrl, stream);
+  return stream;
+};
+
+/**
+ * Subscribe to the backend's live update stream (GET /sync/stream)
+ * handlers maps event types (row, audit, conflict, status) to callbacks.
+ * Returns whether the stream is connected - components poll only while
+ * it is not.
+ */
+export function useSyncStream(apiUrl, handlers) {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return undefined;
+
+    const stream = streams.get(apiUrl) || openStream(apiUrl);
+    const listener = (type, data) => handlersRef.current[type]?.(data);
+
+    stream.listeners.add(listener);
+    stream.connectionListeners.add(setConnected);
+    setConnected(stream.connected);
+
+    return () => {
+      stream.listeners.delete(listener);
+      stream.connectionListeners.delete(setConnected);
+
+      if (stream.listeners.size === 0) {
+        clearTimeout(stream.reopenTimer);
+        stream.source.close();
+        streams.delete(apiUrl);
+      }
+    };
+  }, [apiUrl]);
+
+  return connected;
+}
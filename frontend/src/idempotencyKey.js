@@ -0,0 +1,18 @@
+/**
+ * Random idempotency key (UUID v4) for a dashboard change.
+ * crypto.randomUUID only exists in secure contexts (HTTPS or localhost);
+ * getRandomValues is available everywhere, so the dashboard also works
+ * when it is served over plain HTTP on the LAN.
+ */
+export function newIdempotencyKey() {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}